@@ -0,0 +1,161 @@
+/**
+ * Conversion attribution.
+ *
+ * A conversion credits the user's messages sent within the attribution
+ * window before it. The window (hours) is set globally and can be
+ * overridden per channel and per cohort; the most specific setting wins:
+ * cohort + channel, cohort, channel, global.
+ *
+ * When several messages are inside their windows, the model splits the
+ * one conversion between them:
+ *   last_touch   all credit to the latest send
+ *   first_touch  all credit to the earliest send
+ *   linear       equal shares
+ *   time_decay   a send's share halves every half_life_hours before the
+ *                conversion
+ *
+ * Credit is fractional, so converted counts and revenue can be too.
+ */
+
+export const ATTRIBUTION_MODELS = ['last_touch', 'first_touch', 'linear', 'time_decay'];
+
+export const defaultAttributionConfig = {
+  model: 'last_touch',
+  window_hours: 72,
+  half_life_hours: 24,
+  // { sms: 24 }
+  channels: {},
+  // { payment_failed: { window_hours: 24, channels: { sms: 6 } } }
+  cohorts: {}
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function windowHours(config, cohort, channel) {
+  const override = config.cohorts?.[cohort] || {};
+  return override.channels?.[channel] ?? override.window_hours ?? config.channels?.[channel] ?? config.window_hours;
+}
+
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function validateChannelWindows(path, windows, channels) {
+  if (!isPlainObject(windows)) return [`${path} must be an object of channel → hours`];
+  return Object.entries(windows).flatMap(([channel, hours]) => {
+    if (!channels.includes(channel)) return [`${path}.${channel} is not a channel (${channels.join(', ')})`];
+    return isPositive(hours) ? [] : [`${path}.${channel} must be a positive number of hours`];
+  });
+}
+
+export function validateAttributionConfig(config, { cohorts, channels }) {
+  const errors = [];
+
+  for (const field of Object.keys(config)) {
+    if (!(field in defaultAttributionConfig)) errors.push(`unknown field: ${field}`);
+  }
+  if (!ATTRIBUTION_MODELS.includes(config.model)) errors.push(`model must be one of ${ATTRIBUTION_MODELS.join(', ')}`);
+  if (!isPositive(config.window_hours)) errors.push('window_hours must be a positive number');
+  if (!isPositive(config.half_life_hours)) errors.push('half_life_hours must be a positive number');
+  errors.push(...validateChannelWindows('channels', config.channels, channels));
+
+  if (!isPlainObject(config.cohorts)) {
+    errors.push('cohorts must be an object of cohort → { window_hours?, channels? }');
+  } else {
+    for (const [cohort, override] of Object.entries(config.cohorts)) {
+      const path = `cohorts.${cohort}`;
+      if (!cohorts.includes(cohort)) {
+        errors.push(`${path} is not a cohort (${cohorts.join(', ')})`);
+        continue;
+      }
+      if (!isPlainObject(override)) {
+        errors.push(`${path} must be { window_hours?, channels? }`);
+        continue;
+      }
+      for (const field of Object.keys(override)) {
+        if (!['window_hours', 'channels'].includes(field)) errors.push(`${path}.${field} is not window_hours or channels`);
+      }
+      if (override.window_hours !== undefined && !isPositive(override.window_hours)) {
+        errors.push(`${path}.window_hours must be a positive number`);
+      }
+      if (override.channels !== undefined) errors.push(...validateChannelWindows(`${path}.channels`, override.channels, channels));
+    }
+  }
+
+  return errors;
+}
+
+// True if a touch at `at` (ISO) may take credit for a conversion at
+// `convertedAt` (ISO)
+export function inWindow(at, convertedAt, hours) {
+  return at <= convertedAt && Date.parse(convertedAt) - Date.parse(at) <= hours * HOUR_MS;
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * touches: [{ sent_at, ... }]. Returns every touch, oldest first, with
+ * its `credit` under the model; credits add up to 1.
+ */
+export function assignCredit(touches, convertedAt, { model, half_life_hours }) {
+  const sorted = [...touches].sort((a, b) => (a.sent_at < b.sent_at ? -1 : a.sent_at > b.sent_at ? 1 : 0));
+  const last = sorted.length - 1;
+  const converted = Date.parse(convertedAt);
+
+  const weights = sorted.map((touch, i) => {
+    if (model === 'first_touch') return i === 0 ? 1 : 0;
+    if (model === 'linear') return 1;
+    if (model === 'time_decay') return Math.pow(0.5, (converted - Date.parse(touch.sent_at)) / (half_life_hours * HOUR_MS));
+    return i === last ? 1 : 0;
+  });
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  return sorted.map((touch, i) => ({ ...touch, credit: total > 0 ? round(weights[i] / total) : 0 }));
+}
+
+const toNumber = value => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/**
+ * What a conversion event was worth: Amplitude's revenue field (or price
+ * × quantity), else a revenue / plan_value / amount / price event
+ * property. value is null when the event carries none of them.
+ */
+export function conversionValue(event = {}) {
+  const props = event.event_properties || {};
+  const price = toNumber(event.price);
+  const value = [
+    toNumber(event.revenue),
+    price === null ? null : price * (toNumber(event.quantity) ?? 1),
+    toNumber(props.revenue),
+    toNumber(props.plan_value),
+    toNumber(props.amount),
+    toNumber(props.price)
+  ].find(v => v !== null) ?? null;
+
+  return {
+    value,
+    currency: props.currency ?? event.currency ?? null,
+    plan: props.plan ?? props.plan_id ?? props.plan_type ?? event.productId ?? null
+  };
+}
+
+/**
+ * Re-credits stored conversions under any model, per cohort and combo:
+ * [{ cohort, combo_key, conversions, revenue }].
+ */
+export function attributeConversions(conversions, config) {
+  const rows = {};
+  for (const conversion of conversions) {
+    for (const touch of assignCredit(conversion.touches, conversion.converted_at, config)) {
+      if (touch.credit === 0) continue;
+      const key = `${touch.cohort}:${touch.combo_key}`;
+      const row = rows[key] ||= { cohort: touch.cohort, combo_key: touch.combo_key, conversions: 0, revenue: 0 };
+      row.conversions = round(row.conversions + touch.credit);
+      row.revenue = round(row.revenue + touch.credit * (conversion.value || 0));
+    }
+  }
+  return Object.values(rows);
+}
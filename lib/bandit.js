@@ -0,0 +1,187 @@
+/**
+ * Multi-armed bandit strategies for combo selection.
+ *
+ * Every strategy receives the same arm shape:
+ *   { key, sent, converted }
+ * and returns the chosen arm. Arms with no sends are valid candidates -
+ * the prior (Thompson / epsilon-greedy) or the "try everything once"
+ * rule (UCB1) decides how they compete with proven arms.
+ */
+
+export const STRATEGIES = ['thompson', 'ucb1', 'epsilon_greedy'];
+
+export const MODES = ['combo', 'factorial', 'contextual'];
+
+export const defaultBanditConfig = {
+  strategy: 'thompson',
+  mode: 'combo',
+  prior_alpha: 1,
+  prior_beta: 1,
+  epsilon: 0.1,
+  ucb_c: Math.SQRT2,
+  interaction_min_sent: 30
+};
+
+// ============================================
+// RANDOM SAMPLING
+// ============================================
+function sampleNormal() {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = Math.random();
+  while (v === 0) v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia & Tsang (2000)
+function sampleGamma(shape) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = Math.random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+export function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha);
+  const y = sampleGamma(beta);
+  return x / (x + y);
+}
+
+// ============================================
+// STRATEGIES
+// ============================================
+export function posterior(arm, config) {
+  const alpha = config.prior_alpha + arm.converted;
+  const beta = config.prior_beta + Math.max(arm.sent - arm.converted, 0);
+  return { alpha, beta, mean: alpha / (alpha + beta) };
+}
+
+function argmax(arms, score) {
+  let best = [];
+  let bestScore = -Infinity;
+
+  for (const arm of arms) {
+    const s = score(arm);
+    if (s > bestScore) {
+      best = [arm];
+      bestScore = s;
+    } else if (s === bestScore) {
+      best.push(arm);
+    }
+  }
+
+  return best[Math.floor(Math.random() * best.length)];
+}
+
+function thompson(arms, config) {
+  return argmax(arms, arm => {
+    const { alpha, beta } = posterior(arm, config);
+    return sampleBeta(alpha, beta);
+  });
+}
+
+// Single-arm value used when arms are scored piecewise (factorial mode):
+// a posterior draw, an upper confidence bound or the posterior mean.
+export function estimateArm(arm, config, totalSent) {
+  const resolved = { ...defaultBanditConfig, ...config };
+  const { alpha, beta, mean } = posterior(arm, resolved);
+
+  if (resolved.strategy === 'thompson') return sampleBeta(alpha, beta);
+  if (resolved.strategy === 'ucb1') {
+    if (arm.sent === 0) return Infinity;
+    const cvr = Math.min(arm.converted / arm.sent, 1);
+    return cvr + resolved.ucb_c * Math.sqrt(Math.log(Math.max(totalSent, 1)) / arm.sent);
+  }
+  return mean;
+}
+
+function ucb1(arms, config) {
+  const untried = arms.filter(arm => arm.sent === 0);
+  if (untried.length > 0) {
+    return untried[Math.floor(Math.random() * untried.length)];
+  }
+
+  const total = arms.reduce((sum, arm) => sum + arm.sent, 0);
+  return argmax(arms, arm => {
+    const mean = Math.min(arm.converted / arm.sent, 1);
+    return mean + config.ucb_c * Math.sqrt(Math.log(total) / arm.sent);
+  });
+}
+
+function epsilonGreedy(arms, config) {
+  if (Math.random() < config.epsilon) {
+    return arms[Math.floor(Math.random() * arms.length)];
+  }
+  return argmax(arms, arm => posterior(arm, config).mean);
+}
+
+const strategyFns = {
+  thompson,
+  ucb1,
+  epsilon_greedy: epsilonGreedy
+};
+
+export function chooseArm(arms, config = defaultBanditConfig) {
+  if (arms.length === 0) return null;
+
+  const resolved = { ...defaultBanditConfig, ...config };
+  const fn = strategyFns[resolved.strategy];
+  if (!fn) throw new Error(`Unknown bandit strategy: ${resolved.strategy}`);
+
+  return fn(arms, resolved);
+}
+
+// Posterior summary used by the stats / bandit API endpoints
+export function summarizeArm(arm, config = defaultBanditConfig) {
+  const resolved = { ...defaultBanditConfig, ...config };
+  const { alpha, beta, mean } = posterior(arm, resolved);
+  return {
+    ...arm,
+    posterior_alpha: alpha,
+    posterior_beta: beta,
+    posterior_mean: mean
+  };
+}
+
+export function validateBanditConfig(config) {
+  const errors = [];
+
+  for (const field of Object.keys(config)) {
+    if (!(field in defaultBanditConfig)) errors.push(`unknown field: ${field}`);
+  }
+  if (config.strategy !== undefined && !STRATEGIES.includes(config.strategy)) {
+    errors.push(`strategy must be one of ${STRATEGIES.join(', ')}`);
+  }
+  for (const field of ['prior_alpha', 'prior_beta', 'ucb_c']) {
+    if (config[field] !== undefined && !(typeof config[field] === 'number' && config[field] > 0)) {
+      errors.push(`${field} must be a positive number`);
+    }
+  }
+  if (config.mode !== undefined && !MODES.includes(config.mode)) {
+    errors.push(`mode must be one of ${MODES.join(', ')}`);
+  }
+  if (config.interaction_min_sent !== undefined && !(Number.isInteger(config.interaction_min_sent) && config.interaction_min_sent >= 0)) {
+    errors.push('interaction_min_sent must be a non-negative integer');
+  }
+  if (config.epsilon !== undefined && !(typeof config.epsilon === 'number' && config.epsilon >= 0 && config.epsilon <= 1)) {
+    errors.push('epsilon must be a number between 0 and 1');
+  }
+
+  return errors;
+}
@@ -0,0 +1,259 @@
+/**
+ * Framework catalog: the timings, channels, levers, offers and tones the
+ * engine can choose from, the subset each cohort may use, and paused arms.
+ *
+ * Values are retired rather than deleted so past experiments still read
+ * back. Offers carry their text and tones their frame per locale; lever
+ * copy lives in the template library. A cohort option is only usable with
+ * English copy behind it, English being the end of every fallback chain.
+ *
+ * A pause matches some of timing / channel / lever / offer / tone, for one
+ * cohort or all of them, and takes matching combos out of selection until
+ * it is lifted.
+ */
+
+import { LOCALES, TONE_FRAMES, OFFER_TEXT } from './locales.js';
+import { CHANNELS } from './providers/index.js';
+
+export const CATALOG_DIMENSIONS = ['timing', 'channel', 'lever', 'offer', 'tone'];
+
+// Resolved from the schedule calendar (lib/schedule.js), not a fixed delay
+export const CALENDAR_TIMINGS = ['next_morning', 'next_evening', 'payday'];
+
+const DEFAULT_DELAY_MINUTES = { '2min': 2, '5min': 5, '30min': 30, '1hr': 60, '2hr': 2 * 60, '4hr': 4 * 60 };
+const DEFAULT_LEVERS = [
+  'scarcity', 'fomo', 'social_proof', 'free_value', 'reciprocity', 'cliffhanger', 'personalization', 'loss_aversion'
+];
+
+export const defaultCohortIntelligence = {
+  checkout_abandoners: {
+    timing: ['2min', '1hr', '2hr'],
+    channel: ['whatsapp', 'push'],
+    lever: ['scarcity', 'fomo', 'loss_aversion'],
+    offer: ['discount_50', 'rupee_1_trial', 'free_episode'],
+    tone: ['urgent', 'curious']
+  },
+  payment_failed: {
+    timing: ['2min', '5min', '30min'],
+    channel: ['whatsapp', 'sms'],
+    lever: ['reciprocity', 'personalization', 'free_value'],
+    offer: ['rupee_1_trial', 'paytm_cashback'],
+    tone: ['friendly', 'personal']
+  },
+  paywall_bouncers: {
+    timing: ['1hr', '2hr', 'next_evening'],
+    channel: ['push', 'whatsapp'],
+    lever: ['free_value', 'social_proof', 'cliffhanger'],
+    offer: ['free_episode', 'extended_preview'],
+    tone: ['curious', 'friendly']
+  }
+};
+
+// { locale: { value: text } } → { value: { locale: text } }
+function byValue(copy) {
+  const result = {};
+  for (const [locale, values] of Object.entries(copy)) {
+    for (const [value, text] of Object.entries(values)) (result[value] ||= {})[locale] = text;
+  }
+  return result;
+}
+
+// ...and back
+function byLocale(entries, field) {
+  const result = {};
+  for (const entry of entries) {
+    for (const [locale, text] of Object.entries(entry[field])) (result[locale] ||= {})[entry.value] = text;
+  }
+  return result;
+}
+
+export function defaultCatalog() {
+  const entry = value => ({ value, retired_at: null });
+  return {
+    timing: [
+      ...Object.entries(DEFAULT_DELAY_MINUTES).map(([value, minutes]) => ({ ...entry(value), delay_minutes: minutes })),
+      ...CALENDAR_TIMINGS.map(value => ({ ...entry(value), delay_minutes: null }))
+    ],
+    channel: CHANNELS.map(entry),
+    lever: DEFAULT_LEVERS.map(entry),
+    offer: Object.entries(byValue(OFFER_TEXT)).map(([value, text]) => ({ ...entry(value), text })),
+    tone: Object.entries(byValue(TONE_FRAMES)).map(([value, frames]) => ({ ...entry(value), frames }))
+  };
+}
+
+export const isRetired = entry => Boolean(entry.retired_at);
+
+/**
+ * The shape the validators and the scheduler take: active values per
+ * dimension, and the delay of every timing, retired ones included.
+ */
+export function frameworksFrom(catalog) {
+  const active = dim => catalog[dim].filter(e => !isRetired(e)).map(e => e.value);
+  return {
+    timing: {
+      options: active('timing'),
+      delays: Object.fromEntries(catalog.timing.map(e => [
+        e.value,
+        e.delay_minutes === null ? null : e.delay_minutes * 60 * 1000
+      ]))
+    },
+    channel: active('channel'),
+    lever: active('lever'),
+    offer: active('offer'),
+    tone: active('tone'),
+    locale: LOCALES
+  };
+}
+
+// Offer text and tone frames, keyed like OFFER_TEXT / TONE_FRAMES
+export function copyFrom(catalog) {
+  return { offers: byLocale(catalog.offer, 'text'), frames: byLocale(catalog.tone, 'frames') };
+}
+
+// ============================================
+// ENTRIES
+// ============================================
+const VALUE_PATTERN = /^[a-z0-9_]+$/;
+const COPY_FIELDS = { offer: 'text', tone: 'frames' };
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function newEntry(dimension, input) {
+  const entry = { value: input.value, retired_at: null };
+  if (dimension === 'timing') entry.delay_minutes = input.delay_minutes ?? null;
+  if (COPY_FIELDS[dimension]) entry[COPY_FIELDS[dimension]] = input[COPY_FIELDS[dimension]];
+  return entry;
+}
+
+// Partial update. Copy is merged per locale; { retired: false } restores
+// a retired value (retiring goes through the DELETE endpoint).
+export function reviseEntry(dimension, entry, changes) {
+  const revised = { ...entry };
+  if (dimension === 'timing' && changes.delay_minutes !== undefined) revised.delay_minutes = changes.delay_minutes;
+
+  const field = COPY_FIELDS[dimension];
+  if (field && changes[field] !== undefined) {
+    revised[field] = isPlainObject(changes[field]) ? { ...entry[field], ...changes[field] } : changes[field];
+  }
+  if (changes.retired === false) revised.retired_at = null;
+  return revised;
+}
+
+function validateCopy(field, copy, placeholder) {
+  if (!isPlainObject(copy)) return [`${field} must be an object of locale → text`];
+
+  const errors = [];
+  if (!isText(copy.english)) errors.push(`${field}.english is required`);
+  for (const [locale, text] of Object.entries(copy)) {
+    if (!LOCALES.includes(locale)) errors.push(`${field}.${locale} is not a locale (${LOCALES.join(', ')})`);
+    else if (!isText(text)) errors.push(`${field}.${locale} must be a non-empty string`);
+    else if (placeholder && !text.includes(placeholder)) errors.push(`${field}.${locale} must contain ${placeholder}`);
+  }
+  return errors;
+}
+
+export function validateEntry(dimension, entry) {
+  const errors = [];
+  if (!isText(entry.value) || !VALUE_PATTERN.test(entry.value)) errors.push('value must match [a-z0-9_]+');
+
+  if (dimension === 'timing') {
+    if (CALENDAR_TIMINGS.includes(entry.value)) {
+      if (entry.delay_minutes !== null) errors.push(`${entry.value} is a calendar timing and takes no delay_minutes`);
+    } else if (!(typeof entry.delay_minutes === 'number' && entry.delay_minutes > 0)) {
+      errors.push('delay_minutes must be a positive number');
+    }
+  }
+  if (dimension === 'channel' && !CHANNELS.includes(entry.value)) {
+    errors.push(`channel must be one with a provider (${CHANNELS.join(', ')})`);
+  }
+  if (dimension === 'offer') errors.push(...validateCopy('text', entry.text));
+  if (dimension === 'tone') errors.push(...validateCopy('frames', entry.frames, '{copy}'));
+
+  return errors;
+}
+
+// ============================================
+// COHORT OPTIONS
+// ============================================
+function missingCopy(dimension, entry, templates) {
+  if (dimension === 'lever' && !templates.some(t =>
+    t.lever === entry.value && t.locale === 'english' && t.enabled && !t.archived_at
+  )) return 'has no enabled English template';
+  if (dimension === 'offer' && !isText(entry.text?.english)) return 'has no English offer text';
+  if (dimension === 'tone' && !isText(entry.frames?.english)) return 'has no English tone frame';
+  return null;
+}
+
+// Why a cohort's options could not all be sent; empty when they can
+export function optionProblems(options, catalog, templates) {
+  if (!isPlainObject(options)) return ['options must be an object of dimension → values'];
+
+  const problems = Object.keys(options)
+    .filter(dim => !CATALOG_DIMENSIONS.includes(dim))
+    .map(dim => `${dim} is not a dimension (${CATALOG_DIMENSIONS.join(', ')})`);
+
+  for (const dim of CATALOG_DIMENSIONS) {
+    const values = options[dim];
+    if (!Array.isArray(values) || values.length === 0) {
+      problems.push(`${dim} needs at least one option`);
+      continue;
+    }
+    for (const value of new Set(values)) {
+      const entry = catalog[dim].find(e => e.value === value);
+      const problem = !entry
+        ? 'is not in the catalog'
+        : isRetired(entry) ? 'is retired' : missingCopy(dim, entry, templates);
+      if (problem) problems.push(`${dim} ${value} ${problem}`);
+    }
+  }
+  return problems;
+}
+
+// Every cohort's problems, prefixed with the cohort
+export function catalogProblems(intelligence, catalog, templates) {
+  return Object.entries(intelligence).flatMap(([cohort, options]) =>
+    optionProblems(options, catalog, templates).map(problem => `${cohort}: ${problem}`)
+  );
+}
+
+// ============================================
+// PAUSES
+// ============================================
+export const PAUSE_FIELDS = ['timing', 'channel', 'lever', 'offer', 'tone'];
+
+// A combo_key (timing|channel|lever|offer) stands for its four fields
+export function pauseMatch(input) {
+  if (typeof input.combo_key === 'string') {
+    const [timing, channel, lever, offer] = input.combo_key.split('|');
+    return { timing, channel, lever, offer };
+  }
+  return Object.fromEntries(PAUSE_FIELDS.filter(f => input[f] !== undefined).map(f => [f, input[f]]));
+}
+
+export function validatePause(input, catalog, cohorts) {
+  if (!isPlainObject(input)) return ['body must be an object'];
+
+  const errors = [];
+  if (input.cohort !== undefined && input.cohort !== null && !cohorts.includes(input.cohort)) {
+    errors.push(`cohort must be one of ${cohorts.join(', ')}`);
+  }
+  if (input.reason !== undefined && typeof input.reason !== 'string') errors.push('reason must be a string');
+  if (input.combo_key !== undefined && (typeof input.combo_key !== 'string' || input.combo_key.split('|').length !== 4)) {
+    return [...errors, 'combo_key must be timing|channel|lever|offer'];
+  }
+
+  const match = pauseMatch(input);
+  if (Object.keys(match).length === 0) errors.push(`pause needs a combo_key or at least one of ${PAUSE_FIELDS.join(', ')}`);
+  for (const [field, value] of Object.entries(match)) {
+    if (!catalog[field].some(e => e.value === value)) errors.push(`${field} ${value} is not in the catalog`);
+  }
+  return errors;
+}
+
+export function isPaused(pauses, cohort, combo) {
+  return pauses.some(p =>
+    (p.cohort === null || p.cohort === cohort) &&
+    Object.entries(p.match).every(([field, value]) => combo[field] === value)
+  );
+}
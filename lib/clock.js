@@ -0,0 +1,30 @@
+/**
+ * Engine time. Live it is the wall clock; a replay sets it to each
+ * event's timestamp so journeys, sends and conversions play out in
+ * simulated time. It never moves backwards.
+ */
+export function createClock() {
+  let simulated = null;
+
+  return {
+    get simulated() {
+      return simulated !== null;
+    },
+
+    ms() {
+      return simulated ?? Date.now();
+    },
+
+    now() {
+      return new Date(this.ms());
+    },
+
+    iso() {
+      return this.now().toISOString();
+    },
+
+    set(time) {
+      simulated = Math.max(simulated ?? 0, new Date(time).getTime());
+    }
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Per-user, per-channel consent and the regulatory limits on sending.
+ *
+ * A user's status on a channel is opted_in, opted_out or dnd (listed on a
+ * do-not-disturb register, e.g. TRAI's NCPR for SMS). Without a record a
+ * channel is allowed unless it is in require_opt_in. opted_out and dnd
+ * block the channel; an explicit opt-in replaces dnd, since messages the
+ * user consented to are exempt from it.
+ *
+ * Send windows are wall-clock hours in a fixed zone per channel (TRAI
+ * allows promotional SMS 10:00-21:00 IST). A send outside its window is
+ * deferred to the next opening, like quiet hours.
+ *
+ * When a message's channel is blocked, the channel's fallback list is
+ * tried in order; a message with no permitted channel is not sent.
+ */
+
+import { parseClock, isValidTimeZone } from './timezone.js';
+
+export const CONSENT_STATUSES = ['opted_in', 'opted_out', 'dnd'];
+
+// Changes kept on each consent record, newest last
+export const CONSENT_HISTORY = 20;
+
+// Updates per POST /api/consent, e.g. a chunk of a DND scrub
+export const CONSENT_MAX_BATCH = 1000;
+
+export const defaultConsentConfig = {
+  require_opt_in: [],
+  send_windows: {
+    sms: { start: '10:00', end: '21:00', timezone: 'Asia/Kolkata' }
+  },
+  fallback: {
+    whatsapp: ['push', 'sms'],
+    sms: ['push', 'whatsapp'],
+    push: ['whatsapp', 'sms']
+  },
+  // event_type → the status it sets; on `channel`, else the event's
+  // channel property, else every channel
+  events: {
+    unsubscribed: { status: 'opted_out' },
+    sms_stop: { status: 'opted_out', channel: 'sms' },
+    whatsapp_stop: { status: 'opted_out', channel: 'whatsapp' },
+    whatsapp_opt_in: { status: 'opted_in', channel: 'whatsapp' }
+  }
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function validateConsentConfig(config, channels) {
+  const errors = [];
+  const { require_opt_in: optIn, send_windows: windows, fallback, events } = config;
+
+  if (!Array.isArray(optIn) || !optIn.every(c => channels.includes(c))) {
+    errors.push(`require_opt_in must be an array of ${channels.join(', ')}`);
+  }
+
+  if (!isObject(windows)) {
+    errors.push('send_windows must be an object');
+  } else {
+    for (const [channel, window] of Object.entries(windows)) {
+      const path = `send_windows.${channel}`;
+      if (!channels.includes(channel)) {
+        errors.push(`${path} is not a channel`);
+        continue;
+      }
+      if (!isObject(window)) {
+        errors.push(`${path} must be { start, end, timezone }`);
+        continue;
+      }
+      if (parseClock(window.start) === null) errors.push(`${path}.start must be HH:MM`);
+      if (parseClock(window.end) === null) errors.push(`${path}.end must be HH:MM`);
+      if (window.start === window.end) errors.push(`${path} must not start and end at the same time`);
+      if (!isValidTimeZone(window.timezone)) errors.push(`${path}.timezone must be an IANA time zone`);
+    }
+  }
+
+  if (!isObject(fallback)) {
+    errors.push('fallback must be an object');
+  } else {
+    for (const [channel, list] of Object.entries(fallback)) {
+      if (!channels.includes(channel)) {
+        errors.push(`fallback.${channel} is not a channel`);
+      } else if (!Array.isArray(list) || !list.every(c => channels.includes(c) && c !== channel)) {
+        errors.push(`fallback.${channel} must be an array of other channels`);
+      }
+    }
+  }
+
+  if (!isObject(events)) {
+    errors.push('events must be an object');
+  } else {
+    for (const [eventType, rule] of Object.entries(events)) {
+      if (!isObject(rule) || !CONSENT_STATUSES.includes(rule.status)) {
+        errors.push(`events.${eventType}.status must be one of ${CONSENT_STATUSES.join(', ')}`);
+      } else if (rule.channel !== undefined && !channels.includes(rule.channel)) {
+        errors.push(`events.${eventType}.channel is not a channel`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// One change: { user_id, channel, status, source? }
+export function validateConsentUpdate(update, channels) {
+  if (!isObject(update)) return ['each update must be an object'];
+  const errors = [];
+  if (typeof update.user_id !== 'string' || !update.user_id) errors.push('user_id is required');
+  if (!channels.includes(update.channel)) errors.push(`channel must be one of ${channels.join(', ')}`);
+  if (!CONSENT_STATUSES.includes(update.status)) errors.push(`status must be one of ${CONSENT_STATUSES.join(', ')}`);
+  if (update.source !== undefined && typeof update.source !== 'string') errors.push('source must be a string');
+  return errors;
+}
+
+// record: the user's consent row for the channel, if any
+export function channelPermission(record, channel, config) {
+  const status = record?.status;
+  if (status === 'opted_out' || status === 'dnd') return { allowed: false, reason: status };
+  if (status !== 'opted_in' && config.require_opt_in.includes(channel)) return { allowed: false, reason: 'no_opt_in' };
+  return { allowed: true, reason: null };
+}
+
+/**
+ * The channel a message may go out on: its own if permitted, else the
+ * first permitted fallback among `available` (the cohort's channels).
+ * records: { channel: consent row }. Returns { channel, reason } with
+ * reason the one the own channel was refused for; channel is null when
+ * nothing is permitted.
+ */
+export function resolveChannel(records, channel, config, available) {
+  const own = channelPermission(records[channel], channel, config);
+  if (own.allowed) return { channel, reason: null };
+
+  const fallback = (config.fallback[channel] || []).find(c =>
+    available.includes(c) && channelPermission(records[c], c, config).allowed
+  );
+  return { channel: fallback || null, reason: own.reason };
+}
+
+// A send window as quiet hours (lib/policy.js applyQuietHours): the rest of the day
+export function windowAsQuietHours(window) {
+  return { enabled: true, start: window.end, end: window.start };
+}
+
+// The changes an event asks for: [{ channel, status }]
+export function consentFromEvent(event, config, channels) {
+  const rule = config.events[event.event_type];
+  if (!rule) return [];
+
+  const channel = rule.channel || event.event_properties?.channel;
+  const targets = channel ? [channel] : channels;
+  return targets.filter(c => channels.includes(c)).map(c => ({ channel: c, status: rule.status }));
+}
+
+// entries: suppression log rows ({ action, reason, channel, cohort, fallback_to })
+export function summarizeSuppressions(entries) {
+  const summary = { total: entries.length, by_action: {}, by_reason: {}, by_channel: {}, by_cohort: {}, fallbacks: {} };
+  const bump = (table, key) => {
+    table[key ?? 'unknown'] = (table[key ?? 'unknown'] || 0) + 1;
+  };
+
+  for (const entry of entries) {
+    bump(summary.by_action, entry.action);
+    bump(summary.by_reason, entry.reason);
+    bump(summary.by_channel, entry.channel);
+    bump(summary.by_cohort, entry.cohort);
+    if (entry.action === 'fallback') bump(summary.fallbacks, `${entry.channel} → ${entry.fallback_to}`);
+  }
+  return summary;
+}
@@ -0,0 +1,156 @@
+/**
+ * Contextual combo selection: combo-mode arms whose conversion rate is
+ * adjusted for who the user is - platform, city tier, the genre they
+ * watch, how often they hit the paywall, the plan they looked at.
+ *
+ * Features come from event / user properties (the trigger's first, then
+ * the last value remembered for the user) or count a user's events over
+ * a window. Categories are lower-cased, optionally limited to `values`
+ * (anything else is 'other'); numbers and counts fall into buckets given
+ * by their lower bounds. A missing feature is 'unknown'.
+ *
+ * Every send is counted per arm and per (arm, feature, value). A user's
+ * rate for an arm is the arm's rate shifted once per feature in logit
+ * space:
+ *
+ *   logit(p | x) = logit(p_arm) + Σ_f [logit(p_arm | f = x_f) - logit(p_arm)]
+ *
+ * Each per-value rate is shrunk towards the arm's own with prior_weight
+ * pseudo-sends, so a value seen a few times barely moves it. The adjusted
+ * rate is handed to the usual strategy (lib/bandit.js) as an arm with the
+ * arm's own send count.
+ */
+
+import { defaultBanditConfig, posterior } from './bandit.js';
+
+export const FEATURE_TYPES = ['category', 'number', 'count'];
+
+export const defaultFeatureConfig = {
+  prior_weight: 20,
+  features: {
+    platform: { type: 'category', properties: ['platform', 'os_name'], values: ['android', 'ios', 'web'] },
+    city_tier: { type: 'category', properties: ['city_tier', 'tier'], values: [] },
+    genre: { type: 'category', properties: ['genre', 'content_genre', 'show_genre'], values: [] },
+    paywall_views: { type: 'count', event_type: 'paywall_viewed', window_hours: 7 * 24, buckets: [0, 1, 3, 5] },
+    plan: { type: 'category', properties: ['plan', 'plan_viewed', 'plan_id'], values: [] }
+  }
+};
+
+const MAX_VALUE_LENGTH = 64;
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const EPS = 1e-4;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string' && item !== '');
+
+function logit(p) {
+  const clamped = Math.min(Math.max(p, EPS), 1 - EPS);
+  return Math.log(clamped / (1 - clamped));
+}
+
+export function validateFeatureConfig(config) {
+  const errors = [];
+
+  if (!(typeof config.prior_weight === 'number' && config.prior_weight > 0)) {
+    errors.push('prior_weight must be a positive number');
+  }
+  if (!isObject(config.features)) {
+    errors.push('features must be an object');
+    return errors;
+  }
+
+  for (const [name, feature] of Object.entries(config.features)) {
+    const path = `features.${name}`;
+    if (!NAME_PATTERN.test(name)) errors.push(`${path}: names are lower-case letters, digits and _`);
+    if (!isObject(feature) || !FEATURE_TYPES.includes(feature.type)) {
+      errors.push(`${path}.type must be one of ${FEATURE_TYPES.join(', ')}`);
+      continue;
+    }
+
+    if (feature.type === 'count') {
+      if (typeof feature.event_type !== 'string' || !feature.event_type) errors.push(`${path}.event_type is required`);
+      if (!(typeof feature.window_hours === 'number' && feature.window_hours > 0)) {
+        errors.push(`${path}.window_hours must be a positive number`);
+      }
+    } else if (!isStringList(feature.properties) || feature.properties.length === 0) {
+      errors.push(`${path}.properties must be a non-empty array of property names`);
+    }
+
+    if (feature.type === 'category') {
+      if (feature.values !== undefined && !isStringList(feature.values)) errors.push(`${path}.values must be an array of strings`);
+    } else {
+      const { buckets } = feature;
+      const ascending = Array.isArray(buckets) && buckets.length > 0 &&
+        buckets.every((b, i) => Number.isInteger(b) && b >= 0 && (i === 0 || b > buckets[i - 1]));
+      if (!ascending) errors.push(`${path}.buckets must be ascending non-negative integers`);
+    }
+  }
+
+  return errors;
+}
+
+// Buckets are lower bounds: [0, 1, 3, 5] → '0', '1-2', '3-4', '5+'
+export function bucketLabel(n, buckets) {
+  if (n < buckets[0]) return `<${buckets[0]}`;
+  const i = buckets.findLastIndex(b => n >= b);
+  if (i === buckets.length - 1) return `${buckets[i]}+`;
+  const high = buckets[i + 1] - 1;
+  return high === buckets[i] ? String(high) : `${buckets[i]}-${high}`;
+}
+
+export function featureValue(feature, raw) {
+  if (raw === undefined || raw === null || raw === '') return 'unknown';
+
+  if (feature.type === 'category') {
+    const value = String(raw).trim().toLowerCase().slice(0, MAX_VALUE_LENGTH);
+    const values = feature.values || [];
+    if (!value) return 'unknown';
+    return values.length === 0 || values.includes(value) ? value : 'other';
+  }
+
+  const n = Number(raw);
+  return Number.isFinite(n) ? bucketLabel(Math.floor(n), feature.buckets) : 'unknown';
+}
+
+/**
+ * attributes: the properties to read, most specific first (merged by the
+ * caller); counts: { feature: number of events } for count features.
+ */
+export function extractFeatures(config, attributes = {}, counts = {}) {
+  const features = {};
+  for (const [name, feature] of Object.entries(config.features)) {
+    const raw = feature.type === 'count'
+      ? counts[name]
+      : feature.properties.map(p => attributes[p]).find(v => v !== undefined && v !== null && v !== '');
+    features[name] = featureValue(feature, raw);
+  }
+  return features;
+}
+
+// Property names worth remembering on a user's profile
+export function featureProperties(config) {
+  return [...new Set(Object.values(config.features).flatMap(f => f.properties || []))];
+}
+
+/**
+ * arms: combo-mode arms ({ key, sent, converted, ... }). lookup(key,
+ * feature, value) → { sent, converted } for the arm among users with that
+ * value. Returns the arms with `converted` rescaled to the adjusted rate,
+ * which is also in context_cvr.
+ */
+export function contextualArms(arms, features, lookup, config, banditConfig = defaultBanditConfig) {
+  const resolved = { ...defaultBanditConfig, ...banditConfig };
+
+  return arms.map(arm => {
+    const { mean } = posterior(arm, resolved);
+    let score = logit(mean);
+    for (const [feature, value] of Object.entries(features)) {
+      const cell = lookup(arm.key, feature, value);
+      const shrunk = (config.prior_weight * mean + cell.converted) / (config.prior_weight + cell.sent);
+      score += logit(shrunk) - logit(mean);
+    }
+
+    const rate = 1 / (1 + Math.exp(-score));
+    return { ...arm, converted: rate * arm.sent, context_cvr: rate };
+  });
+}
@@ -0,0 +1,133 @@
+/**
+ * Dashboard aggregates over experiments: per-cohort funnels, CVR by day
+ * and combo heatmaps.
+ *
+ * A funnel counts cohort entries - one experiment, or one sequence with
+ * all its steps - that reached each stage with any of their experiments.
+ * Held-out (control) entries count as entered but are reported apart.
+ *
+ * The daily series groups sends by the day they went out in the given
+ * time zone: CVR for a day is the share of that day's sends that
+ * converted, so recent days keep filling in.
+ *
+ * Conversions are weighted by attribution credit (lib/attribution.js).
+ * `reached(experiment, status)` is the engine's status order, passed in.
+ */
+
+import { zonedParts } from './timezone.js';
+
+export const HEATMAP_DIMENSIONS = ['timing', 'channel', 'lever', 'offer', 'tone', 'locale'];
+export const DEFAULT_HEATMAPS = [['lever', 'offer'], ['channel', 'timing']];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 10000) / 10000;
+const percent = (part, whole) => (whole > 0 ? Math.round(part / whole * 10000) / 100 : null);
+const creditOf = e => (e.status === 'converted' ? e.attribution_credit ?? 1 : 0);
+
+export function cohortFunnels(experiments, reached) {
+  const entries = {};
+  for (const e of experiments) {
+    const entry = entries[e.sequence_id || e.id] ||= { cohort: e.cohort, control: e.arm === 'control', experiments: [] };
+    entry.experiments.push(e);
+  }
+
+  const funnels = {};
+  for (const entry of Object.values(entries)) {
+    const f = funnels[entry.cohort] ||= {
+      cohort: entry.cohort, entered: 0, held_out: 0, held_out_converted: 0, messaged: 0, opened: 0, converted: 0
+    };
+    const any = status => entry.experiments.some(e => reached(e, status));
+
+    f.entered++;
+    if (entry.control) {
+      f.held_out++;
+      if (any('converted')) f.held_out_converted++;
+      continue;
+    }
+    if (any('sent')) f.messaged++;
+    if (any('opened')) f.opened++;
+    if (any('converted')) f.converted++;
+  }
+
+  // Each stage as a share of the one before; held-out users never get a
+  // message, so they are left out of messaged
+  return Object.values(funnels).map(f => ({
+    ...f,
+    rates: {
+      messaged: percent(f.messaged, f.entered - f.held_out),
+      opened: percent(f.opened, f.messaged),
+      converted: percent(f.converted, f.messaged)
+    },
+    held_out_cvr: percent(f.held_out_converted, f.held_out)
+  })).sort((a, b) => b.entered - a.entered);
+}
+
+export function dayKey(at, timeZone) {
+  const { year, month, day } = zonedParts(new Date(at), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Every day of the last `days`, oldest first, empty ones included
+export function dailySeries(experiments, { days, timeZone, now }) {
+  const rows = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const day = dayKey(now - i * DAY_MS, timeZone);
+    if (!rows.has(day)) rows.set(day, { day, sent: 0, converted: 0, revenue: 0 });
+  }
+
+  for (const e of experiments) {
+    if (!e.sent_at) continue;
+    const row = rows.get(dayKey(e.sent_at, timeZone));
+    if (!row) continue;
+    row.sent++;
+    row.converted = round(row.converted + creditOf(e));
+    row.revenue = round(row.revenue + (e.revenue || 0));
+  }
+
+  return [...rows.values()].map(row => ({
+    ...row,
+    cvr: percent(row.converted, row.sent),
+    revenue_per_send: row.sent > 0 ? round(row.revenue / row.sent) : null
+  }));
+}
+
+// Values in `order` (e.g. catalog order) first, anything else after
+function sortValues(values, order = []) {
+  const rank = value => (order.includes(value) ? order.indexOf(value) : order.length);
+  return [...values].sort((a, b) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0));
+}
+
+// Sends and conversions for every (row value, column value) pair seen.
+// order: { dimension: [values] } for the axes.
+export function comboHeatmap(experiments, rowDimension, colDimension, order = {}) {
+  const cells = {};
+  const rows = new Set();
+  const cols = new Set();
+
+  for (const e of experiments) {
+    if (!e.sent_at || e.arm === 'control') continue;
+    const row = e[rowDimension];
+    const col = e[colDimension];
+    if (row == null || col == null) continue;
+    rows.add(row);
+    cols.add(col);
+
+    const cell = cells[`${row}|${col}`] ||= { row, col, sent: 0, converted: 0, revenue: 0 };
+    cell.sent++;
+    cell.converted = round(cell.converted + creditOf(e));
+    cell.revenue = round(cell.revenue + (e.revenue || 0));
+  }
+
+  return {
+    rows: rowDimension,
+    cols: colDimension,
+    row_values: sortValues(rows, order[rowDimension]),
+    col_values: sortValues(cols, order[colDimension]),
+    cells: Object.values(cells).map(cell => ({
+      ...cell,
+      cvr: percent(cell.converted, cell.sent),
+      revenue_per_send: round(cell.revenue / cell.sent)
+    }))
+  };
+}
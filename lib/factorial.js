@@ -0,0 +1,143 @@
+/**
+ * Factorial (per-dimension) learning.
+ *
+ * Whole-combo arms need thousands of sends before every cell of
+ * timing × channel × lever × offer × tone × locale has data. Here each
+ * dimension value and each pair of dimension values is scored separately
+ * and a combo is composed from an additive model in logit space:
+ *
+ *   logit(p) = logit(baseline) + Σ main effects + Σ pairwise interactions
+ *
+ * Interactions only kick in once the pair has interaction_min_sent sends,
+ * so sparse pairs do not add noise on top of the main effects.
+ */
+
+import { defaultBanditConfig, estimateArm, posterior } from './bandit.js';
+
+export const DIMENSIONS = ['timing', 'channel', 'lever', 'offer', 'tone', 'locale'];
+
+export const PAIRS = DIMENSIONS.flatMap((a, i) =>
+  DIMENSIONS.slice(i + 1).map(b => [a, b])
+);
+
+const EPS = 1e-4;
+
+function logit(p) {
+  const clamped = Math.min(Math.max(p, EPS), 1 - EPS);
+  return Math.log(clamped / (1 - clamped));
+}
+
+export function pairName(a, b) {
+  return `${a}+${b}`;
+}
+
+// Every (dimension, value) cell an experiment contributes to
+export function dimensionCells(combo) {
+  const cells = DIMENSIONS
+    .filter(dim => combo[dim] !== undefined && combo[dim] !== null)
+    .map(dim => ({ dimension: dim, value: combo[dim] }));
+
+  for (const [a, b] of PAIRS) {
+    if (combo[a] == null || combo[b] == null) continue;
+    cells.push({ dimension: pairName(a, b), value: `${combo[a]}|${combo[b]}` });
+  }
+
+  return cells;
+}
+
+function candidates(options) {
+  let combos = [{}];
+  for (const dim of DIMENSIONS) {
+    const values = options[dim] || [];
+    if (values.length === 0) continue;
+    combos = combos.flatMap(combo => values.map(value => ({ ...combo, [dim]: value })));
+  }
+  return combos;
+}
+
+/**
+ * Pick the combo with the highest additive score.
+ *
+ * options  - { timing: [...], channel: [...], ... } allowed for the cohort
+ * lookup   - (dimension, value) => { sent, converted }
+ * baseline - { sent, converted } for the whole cohort
+ * allowed  - combo => false for combos that must not be picked (paused)
+ */
+export function composeCombo(options, lookup, baseline, config = defaultBanditConfig, allowed = () => true) {
+  const resolved = { ...defaultBanditConfig, ...config };
+  const all = candidates(options).filter(allowed);
+  if (all.length === 0) return null;
+
+  if (resolved.strategy === 'epsilon_greedy' && Math.random() < resolved.epsilon) {
+    return all[Math.floor(Math.random() * all.length)];
+  }
+
+  const base = logit(posterior(baseline, resolved).mean);
+
+  // Exploration happens on main effects: one estimate per value, shared by
+  // every candidate containing it, so Thompson draws stay consistent.
+  const main = {};
+  for (const dim of DIMENSIONS) {
+    main[dim] = {};
+    for (const value of options[dim] || []) {
+      // UCB1 returns Infinity for untried values; logit() clamps it to the
+      // largest effect instead of drowning out the other dimensions
+      main[dim][value] = logit(estimateArm(lookup(dim, value), resolved, baseline.sent)) - base;
+    }
+  }
+
+  const interaction = (a, b, combo) => {
+    const pair = lookup(pairName(a, b), `${combo[a]}|${combo[b]}`);
+    if (pair.sent < resolved.interaction_min_sent) return 0;
+
+    const mean = dim => logit(posterior(lookup(dim, combo[dim]), resolved).mean);
+    return logit(posterior(pair, resolved).mean) - mean(a) - mean(b) + base;
+  };
+
+  let best = [];
+  let bestScore = -Infinity;
+
+  for (const combo of all) {
+    let score = base;
+    for (const dim of DIMENSIONS) {
+      if (combo[dim] !== undefined) score += main[dim][combo[dim]];
+    }
+    for (const [a, b] of PAIRS) {
+      if (combo[a] !== undefined && combo[b] !== undefined) score += interaction(a, b, combo);
+    }
+
+    if (score > bestScore) {
+      best = [combo];
+      bestScore = score;
+    } else if (score === bestScore) {
+      best.push(combo);
+    }
+  }
+
+  return best[Math.floor(Math.random() * best.length)];
+}
+
+// Main-effect readout: per value CVR, posterior mean and lift vs baseline
+export function mainEffects(options, lookup, baseline, config = defaultBanditConfig) {
+  const resolved = { ...defaultBanditConfig, ...config };
+  const baseMean = posterior(baseline, resolved).mean;
+
+  const result = {};
+  for (const dim of DIMENSIONS) {
+    result[dim] = (options[dim] || []).map(value => {
+      const cell = lookup(dim, value);
+      const { mean } = posterior(cell, resolved);
+      return {
+        value,
+        sent: cell.sent,
+        converted: cell.converted,
+        cvr: cell.sent > 0 ? cell.converted / cell.sent : null,
+        posterior_mean: mean,
+        logit_effect: logit(mean) - logit(baseMean),
+        relative_lift: baseMean > 0 ? mean / baseMean - 1 : null
+      };
+    }).sort((a, b) => b.logit_effect - a.logit_effect);
+  }
+
+  return result;
+}
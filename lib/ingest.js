@@ -0,0 +1,118 @@
+/**
+ * Amplitude webhook ingestion: request authentication, event schema
+ * validation and the dedup key.
+ *
+ * A request is authenticated by a shared secret in X-Webhook-Secret, an
+ * HMAC-SHA256 of the raw body in X-Signature (hex, optionally prefixed
+ * with `sha256=`), or both; every check that has a secret configured must
+ * pass. Amplitude retries deliveries, so events carrying an insert_id (or
+ * uuid) are only processed once within the dedup window.
+ *
+ * Journeys run on the time an event happened, not when it arrived:
+ * `time` (epoch ms, as the webhook sends it) or `event_time` (the
+ * 'YYYY-MM-DD HH:MM:SS.ffffff' UTC string of Amplitude exports), from
+ * 2000 on and within the range of a Date. Events older than the max event
+ * age start no journeys.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const DEFAULT_MAX_BATCH = 1000;
+export const DEFAULT_DEDUP_HOURS = 24;
+export const DEFAULT_EVENT_LOG_DAYS = 30;
+export const DEFAULT_MAX_EVENT_AGE_HOURS = 24;
+export const MIN_EVENT_TIME = Date.UTC(2000, 0, 1);
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+export function signBody(rawBody, secret) {
+  return createHmac('sha256', secret).update(rawBody || '').digest('hex');
+}
+
+// Returns null when the request may proceed, otherwise the reason
+export function verifyRequest({ rawBody, secretHeader, signatureHeader }, { secret, hmacSecret }) {
+  if (secret && !safeEqual(secretHeader || '', secret)) {
+    return 'invalid webhook secret';
+  }
+  if (hmacSecret) {
+    if (!signatureHeader) return 'missing X-Signature header';
+    const signature = String(signatureHeader).replace(/^sha256=/i, '').toLowerCase();
+    if (!safeEqual(signature, signBody(rawBody, hmacSecret))) return 'invalid signature';
+  }
+  return null;
+}
+
+// Amplitude posts { events: [...] }; a bare array or a single event is
+// accepted too. Returns null if the body is none of those.
+export function eventBatch(body) {
+  if (Array.isArray(body)) return body;
+  if (!body || typeof body !== 'object') return null;
+  if (body.events !== undefined) return Array.isArray(body.events) ? body.events : null;
+  return [body];
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isId = value => (typeof value === 'string' && value.trim() !== '') || Number.isFinite(value);
+
+export function validateEvent(event) {
+  if (!isPlainObject(event)) return ['event must be an object'];
+
+  const errors = [];
+  if (typeof event.event_type !== 'string' || event.event_type.trim() === '') {
+    errors.push('event_type must be a non-empty string');
+  }
+  if (!isId(event.user_id) && !isId(event.device_id)) {
+    errors.push('user_id or device_id is required');
+  }
+  for (const field of ['event_properties', 'user_properties']) {
+    if (event[field] !== undefined && event[field] !== null && !isPlainObject(event[field])) {
+      errors.push(`${field} must be an object`);
+    }
+  }
+  for (const field of ['time', 'event_time']) {
+    if (event[field] === undefined || event[field] === null) continue;
+    const ms = readTime(event[field]);
+    if (ms === null) errors.push(`${field} must be epoch milliseconds or a timestamp`);
+    else if (!inTimeRange(ms)) errors.push(`${field} must be a date from ${new Date(MIN_EVENT_TIME).toISOString()} on`);
+  }
+  for (const field of ['insert_id', '$insert_id', 'uuid']) {
+    if (event[field] !== undefined && event[field] !== null && !isId(event[field])) {
+      errors.push(`${field} must be a non-empty string or number`);
+    }
+  }
+  return errors;
+}
+
+function readTime(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const exported = value.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?)$/);
+  const ms = Date.parse(exported ? `${exported[1]}T${exported[2]}Z` : value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Anything a Date can hold from 2000 on: earlier is almost always epoch
+// seconds sent as milliseconds
+function inTimeRange(ms) {
+  return ms >= MIN_EVENT_TIME && Number.isFinite(new Date(ms).getTime());
+}
+
+function parseTime(value) {
+  const ms = readTime(value);
+  return ms !== null && inTimeRange(ms) ? ms : null;
+}
+
+// Epoch ms the event happened at, or null if it carries no timestamp
+export function eventTimestamp(event) {
+  return parseTime(event.time) ?? parseTime(event.event_time);
+}
+
+// Amplitude's own dedup id, falling back to the event UUID
+export function dedupKey(event) {
+  const key = event.insert_id ?? event.$insert_id ?? event.uuid;
+  return key === undefined || key === null ? null : String(key);
+}
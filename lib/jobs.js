@@ -0,0 +1,184 @@
+/**
+ * Job runner for queued work (journey checks, scheduled sends), safe to
+ * run in several replicas against one store.
+ *
+ * Every tick a job lists its due items, oldest first, and claims each one
+ * with a lease before running it, so an item is handled by one replica
+ * at a time. A replica that dies mid-item leaves its lease to expire
+ * after lease_ms, and the item can then be claimed again. Leases only
+ * keep two replicas off the same item: whatever the item reads and writes
+ * has to be shared through the store too, which is why due() is a good
+ * place to pick up what other replicas changed.
+ *
+ * A full batch is followed straight away by the next, so a backlog built
+ * up during downtime drains without waiting for ticks. stop() lets the
+ * items in flight finish and starts no new ones.
+ *
+ * A job is { due(now, limit), key(item), dueAt(item), run(item),
+ * afterBatch?() } plus interval_ms / batch_size / lease_ms. run() may
+ * return 'skipped' (no longer due, e.g. handled elsewhere) or 'failed';
+ * anything else counts as processed. A throw counts as failed.
+ */
+
+export const defaultJobConfig = {
+  interval_ms: 60 * 1000,
+  batch_size: 100,
+  lease_ms: 5 * 60 * 1000
+};
+
+const MINUTE_MS = 60 * 1000;
+const HISTORY_MINUTES = 15;
+
+export function validateJobConfig(config) {
+  const errors = [];
+  for (const field of ['interval_ms', 'batch_size', 'lease_ms']) {
+    if (!(Number.isInteger(config[field]) && config[field] > 0)) errors.push(`${field} must be a positive integer`);
+  }
+  return errors;
+}
+
+function createMetrics() {
+  return {
+    ticks: 0,
+    processed: 0,
+    skipped: 0,
+    failed: 0,
+    in_flight: 0,
+    last_tick_at: null,
+    last_tick_ms: null,
+    last_error: null,
+    // minute → { processed, failed }
+    minutes: new Map()
+  };
+}
+
+/**
+ * leases: { claim(id, owner, ms) → boolean, release(id, owner) }.
+ * now() is epoch ms; log is lib/log.js' logger or console.
+ */
+export function createJobRunner({ owner, leases, now = () => Date.now(), log = console }) {
+  const jobs = new Map();
+  let started = false;
+  let stopping = false;
+
+  function count(job, outcome) {
+    job.metrics[outcome]++;
+    if (outcome === 'skipped') return;
+
+    const minute = Math.floor(now() / MINUTE_MS);
+    const bucket = job.metrics.minutes.get(minute) || { processed: 0, failed: 0 };
+    bucket[outcome]++;
+    job.metrics.minutes.set(minute, bucket);
+    for (const old of job.metrics.minutes.keys()) {
+      if (old <= minute - HISTORY_MINUTES) job.metrics.minutes.delete(old);
+    }
+  }
+
+  async function runItem(job, item) {
+    const id = `${job.name}:${job.key(item)}`;
+    if (!leases.claim(id, owner, job.config.lease_ms)) return count(job, 'skipped');
+
+    job.metrics.in_flight++;
+    try {
+      const outcome = await job.run(item);
+      count(job, outcome === 'skipped' || outcome === 'failed' ? outcome : 'processed');
+    } catch (error) {
+      count(job, 'failed');
+      job.metrics.last_error = { at: new Date(now()).toISOString(), item: job.key(item), message: error.message };
+      log.error('JOBS', `${job.name} ${job.key(item)} failed: ${error.message}`, { job: job.name, item: job.key(item), error });
+    } finally {
+      job.metrics.in_flight--;
+      leases.release(id, owner);
+    }
+  }
+
+  async function tick(job) {
+    const startedAt = now();
+    job.metrics.ticks++;
+    job.metrics.last_tick_at = new Date(startedAt).toISOString();
+
+    try {
+      for (;;) {
+        const items = await job.due(new Date(now()).toISOString(), job.config.batch_size);
+        const before = job.metrics.processed + job.metrics.failed;
+        for (const item of items) {
+          if (stopping) break;
+          await runItem(job, item);
+        }
+        await job.afterBatch?.();
+
+        // Only a full batch that moved something can have more behind it
+        const moved = job.metrics.processed + job.metrics.failed > before;
+        if (stopping || items.length < job.config.batch_size || !moved) break;
+      }
+    } catch (error) {
+      job.metrics.last_error = { at: new Date(now()).toISOString(), item: null, message: error.message };
+      log.error('JOBS', `${job.name} tick failed: ${error.message}`, { job: job.name, error });
+    } finally {
+      job.metrics.last_tick_ms = now() - startedAt;
+    }
+  }
+
+  function schedule(job, delay) {
+    job.timer = setTimeout(() => {
+      job.timer = null;
+      const startedAt = Date.now();
+      job.running = tick(job).finally(() => {
+        job.running = null;
+        if (!stopping) schedule(job, Math.max(job.config.interval_ms - (Date.now() - startedAt), 0));
+      });
+    }, delay);
+  }
+
+  return {
+    owner,
+
+    register(name, { config = {}, ...job }) {
+      jobs.set(name, { ...job, name, config: { ...defaultJobConfig, ...config }, metrics: createMetrics(), timer: null, running: null });
+    },
+
+    start() {
+      if (started) return;
+      started = true;
+      for (const job of jobs.values()) schedule(job, 0);
+    },
+
+    // Resolves once every tick in progress has finished its current item
+    async stop() {
+      stopping = true;
+      for (const job of jobs.values()) {
+        clearTimeout(job.timer);
+        job.timer = null;
+      }
+      await Promise.all([...jobs.values()].map(job => job.running));
+    },
+
+    get running() {
+      return started && !stopping;
+    },
+
+    // lag_ms: how long the oldest due item has been waiting
+    async metrics() {
+      const minute = Math.floor(now() / MINUTE_MS);
+      const result = {};
+
+      for (const job of jobs.values()) {
+        const { minutes, ...metrics } = job.metrics;
+        const [oldest] = await job.due(new Date(now()).toISOString(), 1);
+        const recent = [...minutes.entries()].filter(([m]) => m > minute - HISTORY_MINUTES);
+        const sum = (field, since) => recent.filter(([m]) => m > minute - since).reduce((n, [, b]) => n + b[field], 0);
+
+        result[job.name] = {
+          config: job.config,
+          ...metrics,
+          lag_ms: oldest ? Math.max(now() - Date.parse(job.dueAt(oldest)), 0) : 0,
+          processed_last_minute: sum('processed', 1),
+          processed_last_15_minutes: sum('processed', HISTORY_MINUTES),
+          failed_last_15_minutes: sum('failed', HISTORY_MINUTES),
+          throughput_per_minute: Math.round(sum('processed', HISTORY_MINUTES) / HISTORY_MINUTES * 100) / 100
+        };
+      }
+      return result;
+    }
+  };
+}
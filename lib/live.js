@@ -0,0 +1,58 @@
+/**
+ * Live feed for the dashboard: what the engine just did (events received,
+ * experiments created, sends, conversions), fanned out to Server-Sent
+ * Events subscribers.
+ *
+ * The last `size` items are kept so a client that connects, or reconnects
+ * with Last-Event-ID, catches up. Ids restart with the process; a client
+ * holding a later id than any kept gets everything kept. broadcast() is
+ * for snapshots (queue depth) that are stale by the next one and so are
+ * not kept.
+ */
+
+export const LIVE_TYPES = ['event', 'experiment', 'send', 'send_failed', 'conversion'];
+
+export function createLiveFeed({ size = 100 } = {}) {
+  const recent = [];
+  const subscribers = new Set();
+  let lastId = 0;
+
+  const deliver = item => {
+    for (const subscriber of subscribers) subscriber(item);
+  };
+
+  return {
+    publish(type, data) {
+      const item = { id: ++lastId, type, data };
+      recent.push(item);
+      if (recent.length > size) recent.shift();
+      deliver(item);
+      return item;
+    },
+
+    broadcast(type, data) {
+      deliver({ id: null, type, data });
+    },
+
+    // Kept items after `id` (all of them when id is missing or unknown)
+    since(id) {
+      const after = Number(id);
+      if (!Number.isInteger(after) || after > lastId) return [...recent];
+      return recent.filter(item => item.id > after);
+    },
+
+    subscribe(subscriber) {
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+
+    get subscribers() {
+      return subscribers.size;
+    }
+  };
+}
+
+// One SSE frame
+export function formatEvent({ id, type, data }) {
+  return `${id === null ? '' : `id: ${id}\n`}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
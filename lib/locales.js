@@ -0,0 +1,222 @@
+/**
+ * Locales for message copy.
+ *
+ * A user's preferred locale comes from a locale / language property, else
+ * from their state or region, else the default. Each locale has a fallback
+ * chain; the chain is both the set of locales the bandit may try for that
+ * user and the order templates are looked up in when a locale has no copy
+ * for the combo.
+ */
+
+export const LOCALES = ['english', 'hinglish', 'hindi', 'haryanvi', 'rajasthani', 'bhojpuri'];
+
+export const DEFAULT_LOCALE = 'hinglish';
+
+const FALLBACKS = {
+  english: ['english', 'hinglish'],
+  hinglish: ['hinglish', 'hindi', 'english'],
+  hindi: ['hindi', 'hinglish'],
+  haryanvi: ['haryanvi', 'hindi', 'hinglish'],
+  rajasthani: ['rajasthani', 'hindi', 'hinglish'],
+  bhojpuri: ['bhojpuri', 'hindi', 'hinglish']
+};
+
+// Language codes and spellings seen in app and Amplitude properties
+const ALIASES = {
+  en: 'english',
+  'en-in': 'english',
+  hi: 'hindi',
+  'hi-in': 'hindi',
+  'hi-latn': 'hinglish',
+  bgc: 'haryanvi',
+  raj: 'rajasthani',
+  mwr: 'rajasthani',
+  bho: 'bhojpuri'
+};
+
+const REGION_LOCALES = {
+  haryana: 'haryanvi',
+  rajasthan: 'rajasthani',
+  bihar: 'bhojpuri',
+  jharkhand: 'bhojpuri'
+};
+
+export function normalizeLocale(value) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  if (LOCALES.includes(key)) return key;
+  return ALIASES[key] || null;
+}
+
+// { locale, source } for a user's attributes
+export function detectLocale(attributes = {}, fallback = DEFAULT_LOCALE) {
+  const explicit = normalizeLocale(attributes.locale) || normalizeLocale(attributes.language) || normalizeLocale(attributes.lang);
+  if (explicit) return { locale: explicit, source: 'language' };
+
+  const region = String(attributes.state || attributes.region || '').trim().toLowerCase();
+  if (REGION_LOCALES[region]) return { locale: REGION_LOCALES[region], source: 'region' };
+
+  return { locale: fallback, source: 'default' };
+}
+
+export function localeChain(locale) {
+  return FALLBACKS[locale] || FALLBACKS[DEFAULT_LOCALE];
+}
+
+// ============================================
+// COPY
+// ============================================
+
+export const TONE_FRAMES = {
+  english: {
+    urgent: '⏰ {copy}! {offer} - hurry!',
+    friendly: 'Hey! 👋 {copy}. {offer}',
+    curious: '🤔 {copy}... {offer}',
+    personal: '{copy}. {offer}',
+    regional: '🎬 Something special for you! {copy}. {offer}'
+  },
+  hinglish: {
+    urgent: '⏰ {copy}! {offer} - jaldi karo!',
+    friendly: 'Hey! 👋 {copy}. {offer}',
+    curious: '🤔 {copy}... {offer}',
+    personal: '{copy}. {offer}',
+    regional: '🎬 Apne liye kuch khaas! {copy}. {offer}'
+  },
+  hindi: {
+    urgent: '⏰ {copy}! {offer} - जल्दी करें!',
+    friendly: 'नमस्ते! 👋 {copy}। {offer}',
+    curious: '🤔 {copy}... {offer}',
+    personal: '{copy}। {offer}',
+    regional: '🎬 आपके लिए कुछ खास! {copy}। {offer}'
+  },
+  haryanvi: {
+    urgent: '⏰ {copy}! {offer} - जल्दी कर ले!',
+    friendly: 'राम राम! 👋 {copy}। {offer}',
+    curious: '🤔 {copy}... {offer}',
+    personal: '{copy}। {offer}',
+    regional: '🎬 थारे खातर कुछ खास! {copy}। {offer}'
+  },
+  rajasthani: {
+    urgent: '⏰ {copy}! {offer} - बेगा करो!',
+    friendly: 'खम्मा घणी! 👋 {copy}। {offer}',
+    curious: '🤔 {copy}... {offer}',
+    personal: '{copy}। {offer}',
+    regional: '🎬 थारै सारू कीं खास! {copy}। {offer}'
+  },
+  bhojpuri: {
+    urgent: '⏰ {copy}! {offer} - जल्दी करीं!',
+    friendly: 'प्रणाम! 👋 {copy}। {offer}',
+    curious: '🤔 {copy}... {offer}',
+    personal: '{copy}। {offer}',
+    regional: '🎬 रउआ खातिर कुछ खास! {copy}। {offer}'
+  }
+};
+
+export const OFFER_TEXT = {
+  english: {
+    free_episode: 'Watch Episode 1 FREE',
+    discount_50: '50% OFF today only',
+    rupee_1_trial: 'Just ₹1 to start',
+    paytm_cashback: 'Get ₹50 Paytm cashback',
+    no_offer: 'Continue your journey',
+    extended_preview: 'Watch 10 more minutes FREE'
+  },
+  hinglish: {
+    free_episode: 'Episode 1 FREE dekho',
+    discount_50: 'Sirf aaj 50% OFF',
+    rupee_1_trial: 'Sirf ₹1 mein shuru karo',
+    paytm_cashback: '₹50 Paytm cashback pao',
+    no_offer: 'Apni kahani continue karo',
+    extended_preview: '10 minute aur FREE dekho'
+  },
+  hindi: {
+    free_episode: 'एपिसोड 1 मुफ़्त देखें',
+    discount_50: 'सिर्फ़ आज 50% की छूट',
+    rupee_1_trial: 'सिर्फ़ ₹1 में शुरू करें',
+    paytm_cashback: '₹50 Paytm कैशबैक पाएं',
+    no_offer: 'अपनी कहानी जारी रखें',
+    extended_preview: '10 मिनट और मुफ़्त देखें'
+  },
+  haryanvi: {
+    free_episode: 'एपिसोड 1 फ्री देख',
+    discount_50: 'आज ए 50% की छूट',
+    rupee_1_trial: 'बस ₹1 में शुरू कर',
+    paytm_cashback: '₹50 Paytm कैशबैक ले ले',
+    no_offer: 'अपणी कहाणी आगै देख'
+  },
+  rajasthani: {
+    free_episode: 'एपिसोड 1 मुफ्त देखो',
+    discount_50: 'आज ई 50% री छूट',
+    rupee_1_trial: 'फगत ₹1 में सरू करो',
+    paytm_cashback: '₹50 Paytm कैशबैक लो',
+    no_offer: 'आपरी कहाणी आगै देखो'
+  },
+  bhojpuri: {
+    free_episode: 'एपिसोड 1 मुफ्त देखीं',
+    discount_50: 'आजे 50% के छूट',
+    rupee_1_trial: 'बस ₹1 में शुरू करीं',
+    paytm_cashback: '₹50 Paytm कैशबैक पाईं',
+    no_offer: 'आपन कहानी आगे देखीं'
+  }
+};
+
+// Lever copy the library is seeded with
+export const LEVER_COPY = {
+  english: {
+    scarcity: ['Only {hours} hours left', 'Offer expires soon', 'Limited time only'],
+    fomo: ['{count} people watching right now', 'Trending in {region}', "Everyone's talking about this"],
+    social_proof: ['Rated 4.8 by 10K viewers', 'Join 1 lakh+ subscribers', 'Top rated in {region}'],
+    free_value: ['FREE episode waiting', 'On us - no strings attached', 'Your free gift inside'],
+    reciprocity: ['We saved your spot', 'Your show is waiting', 'We kept it ready for you'],
+    cliffhanger: ['Did she find out the truth?', "You won't believe what happens next", 'The twist is coming'],
+    personalization: ['Picked just for you, {name}', 'Based on what you love', 'Your personalized pick'],
+    loss_aversion: ["Don't lose your progress", 'Your trial is slipping away', "You're one step from missing out"]
+  },
+  hinglish: {
+    scarcity: ['Sirf {hours} ghante bache hain'],
+    fomo: ['Abhi {count} log dekh rahe hain'],
+    social_proof: ['10K viewers ne di 4.8 rating'],
+    free_value: ['Aapka FREE episode wait kar raha hai'],
+    reciprocity: ['Humne aapki seat bacha ke rakhi hai'],
+    cliffhanger: ['Kya use sach pata chala?'],
+    personalization: ['{name|Dost}, ye khaas aapke liye hai'],
+    loss_aversion: ['Apni kahani beech mein mat chhodo']
+  },
+  hindi: {
+    scarcity: ['सिर्फ़ {hours} घंटे बाकी'],
+    fomo: ['अभी {count} लोग देख रहे हैं'],
+    social_proof: ['10 हज़ार दर्शकों ने दी 4.8 रेटिंग'],
+    free_value: ['आपका मुफ़्त एपिसोड इंतज़ार कर रहा है'],
+    reciprocity: ['हमने आपकी सीट बचा के रखी है'],
+    cliffhanger: ['क्या उसे सच पता चला?'],
+    personalization: ['{name|दोस्त}, ये खास आपके लिए चुना है'],
+    loss_aversion: ['अपनी कहानी बीच में मत छोड़िए']
+  },
+  haryanvi: {
+    scarcity: ['बस {hours} घंटे बचे सैं'],
+    fomo: ['{count} लोग इब्बे देखण लाग रे सैं'],
+    social_proof: ['10 हज़ार दर्शकां नै दी 4.8 रेटिंग'],
+    free_value: ['थारा फ्री एपिसोड बाट देखै सै'],
+    reciprocity: ['थारी सीट बचा के राखी सै'],
+    cliffhanger: ['के उसनै साच का बेरा पाट्या?'],
+    personalization: ['{name|भाई}, यो खास थारे खातर सै']
+  },
+  rajasthani: {
+    scarcity: ['फगत {hours} घंटा बाकी है'],
+    fomo: ['अबार {count} लोग देख रिया है'],
+    social_proof: ['10 हजार दर्शकां दी 4.8 रेटिंग'],
+    free_value: ['थारो मुफ्त एपिसोड उडीक रियो है'],
+    reciprocity: ['म्हे थारी सीट राख दी है'],
+    cliffhanger: ['कांई उणनै साच ठा पड़्यो?'],
+    personalization: ['{name|सा}, ओ खास थारै सारू है']
+  },
+  bhojpuri: {
+    scarcity: ['बस {hours} घंटा बाकी बा'],
+    fomo: ['अबहीं {count} लोग देखत बा'],
+    social_proof: ['10 हजार दर्शक दिहलें 4.8 रेटिंग'],
+    free_value: ['राउर मुफ्त एपिसोड इंतजार करत बा'],
+    reciprocity: ['हमनी के राउर सीट बचा के रखले बानी'],
+    cliffhanger: ['का ओकरा सच पता चलल?'],
+    personalization: ['{name|भइया}, ई खास रउआ खातिर बा']
+  }
+};
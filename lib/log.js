@@ -0,0 +1,65 @@
+/**
+ * Structured logging.
+ *
+ * Every line has a tag (SENT, ABANDONED, ...), a message and fields. With
+ * LOG_FORMAT=json (the default) a line is one JSON object:
+ *
+ *   {"time":"...","level":"info","tag":"SENT","msg":"...","request_id":"...",
+ *    "experiment_id":"...","user_id":"..."}
+ *
+ * so the lines about a user or an experiment can be pulled out by id.
+ * LOG_FORMAT=text prints `[SENT] message` for local development.
+ *
+ * withContext(fields, fn) adds fields to every line logged while fn runs,
+ * across awaits (AsyncLocalStorage): the request id of an HTTP request,
+ * the job and item a job runner is working on.
+ *
+ * Lines go through console.log / console.error at call time, so scripts
+ * that silence the console silence the engine too.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['json', 'text'];
+
+function serializable(value) {
+  if (value instanceof Error) return { message: value.message, stack: value.stack };
+  return value;
+}
+
+export function createLogger({ format = 'json', level = 'info', now = () => new Date() } = {}) {
+  if (!LOG_FORMATS.includes(format)) throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}`);
+  if (!LOG_LEVELS.includes(level)) throw new Error(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+
+  const context = new AsyncLocalStorage();
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  function write(lineLevel, tag, msg, fields = {}) {
+    if (LOG_LEVELS.indexOf(lineLevel) < threshold) return;
+    const print = lineLevel === 'error' || lineLevel === 'warn' ? console.error : console.log;
+
+    if (format === 'text') {
+      print(fields.error instanceof Error ? `[${tag}] ${msg}\n${fields.error.stack}` : `[${tag}] ${msg}`);
+      return;
+    }
+
+    const entry = { time: now().toISOString(), level: lineLevel, tag, msg, ...context.getStore() };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = serializable(value);
+    }
+    print(JSON.stringify(entry));
+  }
+
+  return {
+    format,
+    debug: (tag, msg, fields) => write('debug', tag, msg, fields),
+    info: (tag, msg, fields) => write('info', tag, msg, fields),
+    warn: (tag, msg, fields) => write('warn', tag, msg, fields),
+    error: (tag, msg, fields) => write('error', tag, msg, fields),
+
+    withContext(fields, fn) {
+      return context.run({ ...context.getStore(), ...fields }, fn);
+    }
+  };
+}
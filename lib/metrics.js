@@ -0,0 +1,117 @@
+/**
+ * Prometheus metrics in the text exposition format (0.0.4): counters,
+ * gauges and histograms with labels, kept in memory per process.
+ *
+ * Counters and histograms start at zero with the process, which
+ * Prometheus' rate() expects. A metric may instead be given
+ * collect(set), called on every scrape, for values read from elsewhere
+ * (queue depth from the store, job counts from the runner); set(labels,
+ * value) replaces whatever the previous scrape left.
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+export function createRegistry() {
+  const metrics = new Map();
+
+  function define(type, name, help, labelNames = [], options = {}) {
+    if (!NAME_PATTERN.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    if (metrics.has(name)) throw new Error(`Metric already registered: ${name}`);
+
+    // labels → JSON array of label values, in labelNames order
+    const series = new Map();
+    const metric = { type, name, help, labelNames, series, collect: options.collect, buckets: options.buckets };
+    const keyOf = labels => JSON.stringify(labelNames.map(label => labels[label] ?? ''));
+    metric.set = (labels, value) => series.set(keyOf(labels), value);
+    metric.get = labels => series.get(keyOf(labels));
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  return {
+    counter(name, help, labelNames, collect) {
+      const metric = define('counter', name, help, labelNames, { collect });
+      return {
+        inc(labels = {}, by = 1) {
+          metric.set(labels, (metric.get(labels) || 0) + by);
+        }
+      };
+    },
+
+    gauge(name, help, labelNames, collect) {
+      const metric = define('gauge', name, help, labelNames, { collect });
+      return {
+        set: (labels, value) => metric.set(labels, value),
+        inc(labels = {}, by = 1) {
+          metric.set(labels, (metric.get(labels) || 0) + by);
+        }
+      };
+    },
+
+    histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+      const metric = define('histogram', name, help, labelNames, { buckets });
+      return {
+        observe(labels, value) {
+          const series = metric.get(labels) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+          });
+          series.sum += value;
+          series.count++;
+          metric.set(labels, series);
+        }
+      };
+    },
+
+    async render() {
+      const lines = [];
+
+      for (const metric of metrics.values()) {
+        if (metric.collect) {
+          metric.series.clear();
+          await metric.collect(metric.set);
+        }
+
+        lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        for (const [key, value] of metric.series) {
+          const values = JSON.parse(key);
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${formatValue(value)}`);
+            continue;
+          }
+
+          metric.buckets.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, `le="${formatValue(bound)}"`)} ${value.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, 'le="+Inf"')} ${value.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, values)} ${formatValue(value.sum)}`);
+          lines.push(`${metric.name}_count${formatLabels(metric.labelNames, values)} ${value.count}`);
+        }
+      }
+
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Per-user delivery policy: frequency caps, quiet hours and cross-cohort
+ * priority.
+ *
+ * Caps are rolling windows over the user's actual sends, globally and per
+ * channel. Quiet hours are wall-clock times in the user's time zone and
+ * push a send to the end of the window. When two cohorts want the same
+ * user at once, the cohort with the higher priority keeps its message.
+ */
+
+import { zonedParts, fromZoned, parseClock, isValidTimeZone } from './timezone.js';
+
+export const CAP_WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+export const defaultPolicy = {
+  caps: {
+    global: { day: 2, week: 5 },
+    channels: {}
+  },
+  quiet_hours: {
+    enabled: true,
+    start: '22:00',
+    end: '08:00'
+  },
+  default_timezone: 'Asia/Kolkata',
+  cohort_priority: {
+    payment_failed: 3,
+    checkout_abandoners: 2,
+    paywall_bouncers: 1
+  }
+};
+
+function validateCaps(caps, path, errors) {
+  if (!caps || typeof caps !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const [window, limit] of Object.entries(caps)) {
+    if (!CAP_WINDOWS[window]) {
+      errors.push(`${path}.${window} is not a cap window (${Object.keys(CAP_WINDOWS).join(', ')})`);
+    } else if (!(Number.isInteger(limit) && limit >= 0)) {
+      errors.push(`${path}.${window} must be a non-negative integer`);
+    }
+  }
+}
+
+export function validatePolicy(policy, channels) {
+  const errors = [];
+  const { caps, quiet_hours: quiet, default_timezone: timeZone, cohort_priority: priority } = policy;
+
+  if (!caps || typeof caps !== 'object') {
+    errors.push('caps must be an object');
+  } else {
+    validateCaps(caps.global || {}, 'caps.global', errors);
+    for (const [channel, channelCaps] of Object.entries(caps.channels || {})) {
+      if (!channels.includes(channel)) errors.push(`caps.channels.${channel} is not a channel`);
+      else validateCaps(channelCaps, `caps.channels.${channel}`, errors);
+    }
+  }
+
+  if (!quiet || typeof quiet !== 'object') {
+    errors.push('quiet_hours must be an object');
+  } else {
+    if (typeof quiet.enabled !== 'boolean') errors.push('quiet_hours.enabled must be a boolean');
+    if (parseClock(quiet.start) === null) errors.push('quiet_hours.start must be HH:MM');
+    if (parseClock(quiet.end) === null) errors.push('quiet_hours.end must be HH:MM');
+  }
+
+  if (!isValidTimeZone(timeZone)) errors.push('default_timezone must be an IANA time zone');
+
+  if (!priority || typeof priority !== 'object') {
+    errors.push('cohort_priority must be an object');
+  } else {
+    for (const [cohort, value] of Object.entries(priority)) {
+      if (!Number.isFinite(value)) errors.push(`cohort_priority.${cohort} must be a number`);
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// QUIET HOURS
+// ============================================
+// The window may wrap midnight (22:00 → 08:00). Returns the instant the
+// send may happen: the input, or the end of the quiet window.
+export function applyQuietHours(date, timeZone, quiet) {
+  if (!quiet || !quiet.enabled) return date;
+
+  const start = parseClock(quiet.start);
+  const end = parseClock(quiet.end);
+  if (start === null || end === null || start === end) return date;
+
+  const local = zonedParts(date, timeZone);
+  const minute = local.hour * 60 + local.minute;
+  const wraps = start > end;
+  const inQuiet = wraps ? (minute >= start || minute < end) : (minute >= start && minute < end);
+  if (!inQuiet) return date;
+
+  // Late-evening side of a wrapping window ends tomorrow
+  const dayOffset = wraps && minute >= start ? 1 : 0;
+  return fromZoned({
+    year: local.year,
+    month: local.month,
+    day: local.day + dayOffset,
+    hour: Math.floor(end / 60),
+    minute: end % 60
+  }, timeZone);
+}
+
+// ============================================
+// FREQUENCY CAPS
+// ============================================
+// sends: [{ channel, sent_at }] for one user. Returns the first cap the
+// next send on this channel would break, or null.
+export function capExceeded(sends, channel, caps, now = new Date()) {
+  const check = (limits, scope, rows) => {
+    for (const [window, limit] of Object.entries(limits || {})) {
+      const since = new Date(now.getTime() - CAP_WINDOWS[window]).toISOString();
+      const count = rows.filter(s => s.sent_at >= since).length;
+      if (count >= limit) return { scope, window, limit, count };
+    }
+    return null;
+  };
+
+  return check(caps.global, 'global', sends) ||
+    check((caps.channels || {})[channel], channel, sends.filter(s => s.channel === channel));
+}
+
+export function cohortPriority(policy, cohort) {
+  return (policy.cohort_priority || {})[cohort] ?? 0;
+}
@@ -0,0 +1,61 @@
+import axios from 'axios';
+import { failureFromAxios, notConfigured } from './errors.js';
+
+const endpoints = {
+  push: 'https://api.clevertap.com/1/send/push.json',
+  whatsapp: 'https://api.clevertap.com/1/send/whatsapp.json',
+  sms: 'https://api.clevertap.com/1/send/sms.json'
+};
+
+export function createCleverTapProvider(env = process.env) {
+  const accountId = env.CLEVERTAP_ACCOUNT_ID;
+  const passcode = env.CLEVERTAP_PASSCODE;
+  // The engine applies its own caps (/api/delivery-policy); set this to
+  // also let CleverTap's account-level caps drop messages
+  const respectFrequencyCaps = env.CLEVERTAP_RESPECT_FREQUENCY_CAPS === 'true';
+
+  return {
+    name: 'clevertap',
+    configured: Boolean(accountId && passcode),
+
+    async send({ userId, message, title, channel, deepLink, idempotencyKey }) {
+      if (!accountId || !passcode) {
+        return notConfigured('clevertap', ['CLEVERTAP_ACCOUNT_ID', 'CLEVERTAP_PASSCODE']);
+      }
+
+      const payload = {
+        to: { "Identity": [userId] },
+        tag_group: "experiment_engine",
+        respect_frequency_caps: respectFrequencyCaps,
+        content: {
+          title: title || "Stage",
+          body: message,
+          platform_specific: {
+            android: { deep_link: deepLink },
+            ios: { deep_link: deepLink }
+          }
+        }
+      };
+
+      try {
+        const response = await axios.post(endpoints[channel] || endpoints.push, payload, {
+          timeout: 15000,
+          headers: {
+            'X-CleverTap-Account-Id': accountId,
+            'X-CleverTap-Passcode': passcode,
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+          }
+        });
+
+        // CleverTap answers 200 with status "fail" for payload problems
+        if (response.data && response.data.status === 'fail') {
+          return { success: false, retryable: false, error: response.data.error || 'CleverTap rejected the request', data: response.data };
+        }
+        return { success: true, data: response.data };
+      } catch (error) {
+        return failureFromAxios(error);
+      }
+    }
+  };
+}
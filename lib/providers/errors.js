@@ -0,0 +1,31 @@
+/**
+ * Shared result helpers for providers.
+ *
+ * Every provider resolves to { success, data?, error?, retryable? } and
+ * never throws. Network errors, timeouts, 429 and 5xx are worth retrying;
+ * any other 4xx means the request itself is wrong and goes straight to
+ * the dead-letter queue.
+ */
+
+export function failureFromAxios(error) {
+  const status = error.response ? error.response.status : null;
+  const retryable = status === null || status === 408 || status === 429 || status >= 500;
+  const detail = error.response && error.response.data
+    ? ` - ${JSON.stringify(error.response.data).slice(0, 300)}`
+    : '';
+
+  return {
+    success: false,
+    retryable,
+    error: `${error.message}${detail}`,
+    status
+  };
+}
+
+export function notConfigured(name, missing) {
+  return {
+    success: false,
+    retryable: false,
+    error: `${name} provider is not configured (missing ${missing.join(', ')})`
+  };
+}
@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { failureFromAxios, notConfigured } from './errors.js';
+
+/**
+ * Direct gateways that bypass CleverTap. Both address the user by phone
+ * number, taken from the phone / phone_number event property captured
+ * when the message was scheduled.
+ */
+
+// WhatsApp Business Cloud API. Free-form text only reaches users inside
+// the 24h customer-care window; outside it Meta requires an approved
+// template, configured through WHATSAPP_TEMPLATE_NAME.
+export function createWhatsAppCloudProvider(env = process.env) {
+  const phoneNumberId = env.WHATSAPP_PHONE_NUMBER_ID;
+  const token = env.WHATSAPP_ACCESS_TOKEN;
+  const template = env.WHATSAPP_TEMPLATE_NAME;
+  const language = env.WHATSAPP_TEMPLATE_LANGUAGE || 'en';
+
+  return {
+    name: 'whatsapp_cloud',
+    configured: Boolean(phoneNumberId && token),
+
+    async send({ message, recipient, idempotencyKey }) {
+      if (!phoneNumberId || !token) {
+        return notConfigured('whatsapp_cloud', ['WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_ACCESS_TOKEN']);
+      }
+      if (!recipient || !recipient.phone) {
+        return { success: false, retryable: false, error: 'no phone number for recipient' };
+      }
+
+      const body = template
+        ? {
+            messaging_product: 'whatsapp',
+            to: recipient.phone,
+            type: 'template',
+            template: {
+              name: template,
+              language: { code: language },
+              components: [{ type: 'body', parameters: [{ type: 'text', text: message }] }]
+            }
+          }
+        : {
+            messaging_product: 'whatsapp',
+            to: recipient.phone,
+            type: 'text',
+            text: { body: message }
+          };
+
+      try {
+        const response = await axios.post(`https://graph.facebook.com/v19.0/${phoneNumberId}/messages`, body, {
+          timeout: 15000,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+          }
+        });
+        return { success: true, data: response.data };
+      } catch (error) {
+        return failureFromAxios(error);
+      }
+    }
+  };
+}
+
+// HTTP SMS gateway (MSG91 / Gupshup / Kaleyra style): POST
+// { to, sender, message } to SMS_GATEWAY_URL with an API key header
+export function createSmsGatewayProvider(env = process.env) {
+  const url = env.SMS_GATEWAY_URL;
+  const apiKey = env.SMS_GATEWAY_API_KEY;
+  const sender = env.SMS_SENDER_ID || 'STAGE';
+
+  return {
+    name: 'sms_gateway',
+    configured: Boolean(url && apiKey),
+
+    async send({ message, recipient, idempotencyKey }) {
+      if (!url || !apiKey) {
+        return notConfigured('sms_gateway', ['SMS_GATEWAY_URL', 'SMS_GATEWAY_API_KEY']);
+      }
+      if (!recipient || !recipient.phone) {
+        return { success: false, retryable: false, error: 'no phone number for recipient' };
+      }
+
+      try {
+        const response = await axios.post(url, { to: recipient.phone, sender, message }, {
+          timeout: 15000,
+          headers: {
+            'Content-Type': 'application/json',
+            'X-API-Key': apiKey,
+            'Idempotency-Key': idempotencyKey
+          }
+        });
+        return { success: true, data: response.data };
+      } catch (error) {
+        return failureFromAxios(error);
+      }
+    }
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Channel provider registry.
+ *
+ * Each channel is served by one provider, chosen with PROVIDER_PUSH /
+ * PROVIDER_WHATSAPP / PROVIDER_SMS. Unset channels use CleverTap when its
+ * credentials are present and the mock provider otherwise, which keeps
+ * local development send-free.
+ *
+ * Provider contract:
+ *   send({ userId, channel, message, title, experimentId, deepLink,
+ *          recipient, idempotencyKey }) → Promise<{ success, data?, error?, retryable? }>
+ *
+ * title is only set for push; providers without titles ignore it.
+ *
+ * Factories get (env, { log }); log is lib/log.js' logger or console.
+ */
+
+import { createCleverTapProvider } from './clevertap.js';
+import { createWebhookProvider } from './webhook.js';
+import { createWhatsAppCloudProvider, createSmsGatewayProvider } from './gateway.js';
+import { createMockProvider } from './mock.js';
+
+export const CHANNELS = ['push', 'whatsapp', 'sms'];
+
+const factories = {
+  clevertap: createCleverTapProvider,
+  webhook: createWebhookProvider,
+  whatsapp_cloud: createWhatsAppCloudProvider,
+  sms_gateway: createSmsGatewayProvider,
+  mock: createMockProvider
+};
+
+export function createProviderRegistry(env = process.env, { log = console } = {}) {
+  const instances = {};
+  const get = name => {
+    if (!factories[name]) throw new Error(`Unknown provider: ${name}`);
+    return (instances[name] ||= factories[name](env, { log }));
+  };
+
+  const fallback = get('clevertap').configured ? 'clevertap' : 'mock';
+  const byChannel = {};
+  for (const channel of CHANNELS) {
+    byChannel[channel] = get(env[`PROVIDER_${channel.toUpperCase()}`] || fallback);
+  }
+
+  return {
+    forChannel(channel) {
+      return byChannel[channel] || byChannel.push;
+    },
+
+    get,
+
+    describe() {
+      return Object.fromEntries(CHANNELS.map(channel => [channel, {
+        provider: byChannel[channel].name,
+        configured: byChannel[channel].configured
+      }]));
+    }
+  };
+}
@@ -0,0 +1,31 @@
+// Local provider: records payloads instead of sending them. Used when no
+// real provider is configured, and handy in tests / demos. MOCK_FAIL_RATE
+// (0-1) makes a share of sends fail with a retryable error.
+const MAX_OUTBOX = 500;
+
+export function createMockProvider(env = process.env, { log = console } = {}) {
+  const outbox = [];
+  const failRate = parseFloat(env.MOCK_FAIL_RATE || '0');
+
+  return {
+    name: 'mock',
+    configured: true,
+    outbox,
+
+    async send(request) {
+      if (Math.random() < failRate) {
+        return { success: false, retryable: true, error: 'mock failure (MOCK_FAIL_RATE)' };
+      }
+
+      log.info('MOCK', `Would send to ${request.userId} via ${request.channel}: ${request.message}`, {
+        experiment_id: request.experimentId,
+        user_id: request.userId,
+        channel: request.channel
+      });
+
+      outbox.unshift({ ...request, recorded_at: new Date().toISOString() });
+      outbox.length = Math.min(outbox.length, MAX_OUTBOX);
+      return { success: true, mock: true, data: { recorded: true } };
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { failureFromAxios, notConfigured } from './errors.js';
+
+// Generic HTTP provider: POSTs the whole send request as JSON to
+// SEND_WEBHOOK_URL, e.g. an internal notification service.
+export function createWebhookProvider(env = process.env) {
+  const url = env.SEND_WEBHOOK_URL;
+  const token = env.SEND_WEBHOOK_TOKEN;
+
+  return {
+    name: 'webhook',
+    configured: Boolean(url),
+
+    async send({ userId, message, title, channel, experimentId, deepLink, recipient, idempotencyKey }) {
+      if (!url) return notConfigured('webhook', ['SEND_WEBHOOK_URL']);
+
+      try {
+        const response = await axios.post(url, {
+          user_id: userId,
+          channel,
+          message,
+          title,
+          experiment_id: experimentId,
+          deep_link: deepLink,
+          recipient
+        }, {
+          timeout: 15000,
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey,
+            ...(token && { Authorization: `Bearer ${token}` })
+          }
+        });
+        return { success: true, data: response.data };
+      } catch (error) {
+        return failureFromAxios(error);
+      }
+    }
+  };
+}
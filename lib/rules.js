@@ -0,0 +1,231 @@
+/**
+ * Declarative event → cohort rules.
+ *
+ * A rule fires on its trigger_event (after property filters and the
+ * optional min_occurrences check). With no wait_for events it creates an
+ * experiment immediately; otherwise the engine schedules a journey check
+ * and the user lands in the rule's cohort if none of the wait_for events
+ * arrive within timeout_minutes. When several rules match the same event,
+ * only the highest priority one fires.
+ */
+
+export const FILTER_OPS = ['eq', 'neq', 'in', 'not_in', 'gt', 'gte', 'lt', 'lte', 'exists', 'contains'];
+
+// Amplitude fields kept on recorded events so filters can be re-evaluated
+// when counting occurrences
+export const EVENT_FIELDS = [
+  'event_properties', 'user_properties', 'platform', 'os_name',
+  'device_type', 'country', 'region', 'city', 'language'
+];
+
+export const defaultRules = [
+  {
+    id: 'paywall_bouncers',
+    name: 'Paywall view without trial start',
+    trigger_event: 'trial_paywall_view',
+    wait_for: ['trial_initiated'],
+    timeout_minutes: 30,
+    cohort: 'paywall_bouncers',
+    filters: [],
+    min_occurrences: null,
+    priority: 0,
+    enabled: true
+  },
+  {
+    id: 'checkout_abandoners',
+    name: 'Trial started but not activated',
+    trigger_event: 'trial_initiated',
+    wait_for: ['trial_activated'],
+    timeout_minutes: 10,
+    cohort: 'checkout_abandoners',
+    filters: [],
+    min_occurrences: null,
+    priority: 0,
+    enabled: true
+  },
+  {
+    id: 'payment_failed',
+    name: 'Payment failed',
+    trigger_event: 'payment_failed',
+    wait_for: [],
+    timeout_minutes: 0,
+    cohort: 'payment_failed',
+    filters: [],
+    min_occurrences: null,
+    priority: 0,
+    enabled: true
+  }
+];
+
+const ID_PATTERN = /^[a-z0-9_-]+$/;
+
+export function normalizeRule(input) {
+  return {
+    id: input.id,
+    name: input.name || input.id,
+    trigger_event: input.trigger_event,
+    wait_for: input.wait_for || [],
+    timeout_minutes: input.timeout_minutes ?? 0,
+    cohort: input.cohort,
+    filters: input.filters || [],
+    min_occurrences: input.min_occurrences || null,
+    priority: input.priority ?? 0,
+    enabled: input.enabled ?? true
+  };
+}
+
+export function validateRule(rule) {
+  const errors = [];
+  const isNonEmptyString = v => typeof v === 'string' && v.length > 0;
+
+  if (!isNonEmptyString(rule.id) || !ID_PATTERN.test(rule.id)) {
+    errors.push('id must match [a-z0-9_-]+');
+  }
+  if (!isNonEmptyString(rule.trigger_event)) errors.push('trigger_event is required');
+  if (!isNonEmptyString(rule.cohort)) errors.push('cohort is required');
+
+  if (!Array.isArray(rule.wait_for) || !rule.wait_for.every(isNonEmptyString)) {
+    errors.push('wait_for must be an array of event names');
+  } else if (rule.wait_for.includes(rule.trigger_event)) {
+    errors.push('wait_for cannot include the trigger_event');
+  }
+
+  if (!(typeof rule.timeout_minutes === 'number' && rule.timeout_minutes >= 0)) {
+    errors.push('timeout_minutes must be a non-negative number');
+  } else if (Array.isArray(rule.wait_for) && rule.wait_for.length > 0 && rule.timeout_minutes === 0) {
+    errors.push('timeout_minutes must be greater than 0 when wait_for is set');
+  }
+
+  if (!Number.isFinite(rule.priority)) errors.push('priority must be a number');
+  if (typeof rule.enabled !== 'boolean') errors.push('enabled must be a boolean');
+
+  if (!Array.isArray(rule.filters)) {
+    errors.push('filters must be an array');
+  } else {
+    rule.filters.forEach((filter, i) => {
+      if (!filter || !isNonEmptyString(filter.property)) {
+        errors.push(`filters[${i}].property is required`);
+      }
+      if (!filter || !FILTER_OPS.includes(filter.op)) {
+        errors.push(`filters[${i}].op must be one of ${FILTER_OPS.join(', ')}`);
+      } else if (['in', 'not_in'].includes(filter.op) && !Array.isArray(filter.value)) {
+        errors.push(`filters[${i}].value must be an array for ${filter.op}`);
+      } else if (['gt', 'gte', 'lt', 'lte'].includes(filter.op) && typeof filter.value !== 'number') {
+        errors.push(`filters[${i}].value must be a number for ${filter.op}`);
+      }
+    });
+  }
+
+  if (rule.min_occurrences !== null) {
+    const { count, window_minutes: windowMinutes } = rule.min_occurrences || {};
+    if (!(Number.isInteger(count) && count >= 1)) {
+      errors.push('min_occurrences.count must be a positive integer');
+    }
+    if (!(typeof windowMinutes === 'number' && windowMinutes > 0)) {
+      errors.push('min_occurrences.window_minutes must be a positive number');
+    }
+  }
+
+  return errors;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+function resolvePath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function matchesFilter(event, filter) {
+  const actual = resolvePath(event, filter.property);
+  const expected = filter.value;
+
+  switch (filter.op) {
+    case 'eq': return actual === expected;
+    case 'neq': return actual !== expected;
+    case 'in': return expected.includes(actual);
+    case 'not_in': return !expected.includes(actual);
+    case 'gt': return Number(actual) > expected;
+    case 'gte': return Number(actual) >= expected;
+    case 'lt': return Number(actual) < expected;
+    case 'lte': return Number(actual) <= expected;
+    case 'exists': return (actual !== undefined && actual !== null) === (expected ?? true);
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.includes(expected)
+        : typeof actual === 'string' && actual.includes(String(expected));
+    default: return false;
+  }
+}
+
+export function matchesFilters(event, filters = []) {
+  return filters.every(filter => matchesFilter(event, filter));
+}
+
+/**
+ * Highest-priority enabled rule for an event, or null.
+ *
+ * countOccurrences(rule) returns how many matching trigger events the user
+ * had inside the rule's window, including the current one.
+ */
+export function matchRule(rules, event, countOccurrences) {
+  const candidates = rules
+    .filter(r => r.enabled && r.trigger_event === event.event_type && matchesFilters(event, r.filters))
+    .sort((a, b) => b.priority - a.priority);
+
+  for (const rule of candidates) {
+    if (!rule.min_occurrences || countOccurrences(rule) >= rule.min_occurrences.count) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+// Events worth keeping in the per-user event log
+export function referencedEvents(rules) {
+  const events = new Set();
+  for (const rule of rules) {
+    events.add(rule.trigger_event);
+    rule.wait_for.forEach(e => events.add(e));
+  }
+  return events;
+}
+
+// ============================================
+// SUPPRESSION RULES
+// ============================================
+// Events that cancel a user's pending sends. Conversion (trial_activated)
+// always cancels and is not listed here. An empty cohorts list means the
+// rule applies to every cohort.
+export const defaultSuppressionRules = [
+  { event_type: 'app_uninstalled', reason: 'uninstalled', cohorts: [] },
+  { event_type: 'unsubscribed', reason: 'unsubscribed', cohorts: [] },
+  { event_type: 'subscription_active', reason: 'already_subscribed', cohorts: [] }
+];
+
+const REASON_PATTERN = /^[a-z0-9_]+$/;
+
+export function validateSuppressionRules(rules) {
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+
+  const errors = [];
+  const seen = new Set();
+
+  rules.forEach((rule, i) => {
+    if (!rule || typeof rule.event_type !== 'string' || rule.event_type.length === 0) {
+      errors.push(`rules[${i}].event_type is required`);
+    } else if (seen.has(rule.event_type)) {
+      errors.push(`rules[${i}].event_type ${rule.event_type} is listed twice`);
+    } else {
+      seen.add(rule.event_type);
+    }
+    if (!rule || typeof rule.reason !== 'string' || !REASON_PATTERN.test(rule.reason)) {
+      errors.push(`rules[${i}].reason must match [a-z0-9_]+`);
+    }
+    if (rule && rule.cohorts !== undefined && !(Array.isArray(rule.cohorts) && rule.cohorts.every(c => typeof c === 'string'))) {
+      errors.push(`rules[${i}].cohorts must be an array of cohort names`);
+    }
+  });
+
+  return errors;
+}
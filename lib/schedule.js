@@ -0,0 +1,133 @@
+/**
+ * Resolves timing options to send times in the user's time zone.
+ *
+ * Fixed delays count from now. `next_morning` / `next_evening` are the next
+ * occurrence of a local wall-clock time, and `payday` is the next day in
+ * the payday calendar: days of the month, or `first_working_day`,
+ * `last_working_day` and `last_day` (working days are Monday-Friday).
+ */
+
+import { zonedParts, fromZoned, parseClock, isValidTimeZone } from './timezone.js';
+
+export const PAYDAY_KEYWORDS = ['first_working_day', 'last_working_day', 'last_day'];
+
+export const defaultScheduleConfig = {
+  next_morning: '08:00',
+  next_evening: '19:00',
+  payday: {
+    days: [1, 'last_working_day'],
+    time: '10:00'
+  }
+};
+
+export function validateScheduleConfig(config) {
+  const errors = [];
+  const known = Object.keys(defaultScheduleConfig);
+
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) errors.push(`unknown field: ${key}`);
+  }
+  for (const key of ['next_morning', 'next_evening']) {
+    if (parseClock(config[key]) === null) errors.push(`${key} must be "HH:MM"`);
+  }
+
+  const payday = config.payday;
+  if (!payday || typeof payday !== 'object') {
+    errors.push('payday must be an object');
+    return errors;
+  }
+  if (!Array.isArray(payday.days) || payday.days.length === 0) {
+    errors.push('payday.days must be a non-empty array');
+  } else {
+    for (const day of payday.days) {
+      const isDate = Number.isInteger(day) && day >= 1 && day <= 31;
+      if (!isDate && !PAYDAY_KEYWORDS.includes(day)) {
+        errors.push(`payday.days: ${JSON.stringify(day)} must be 1-31 or one of ${PAYDAY_KEYWORDS.join(', ')}`);
+      }
+    }
+  }
+  if (parseClock(payday.time) === null) errors.push('payday.time must be "HH:MM"');
+
+  return errors;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function isWorkingDay(year, month, day) {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+}
+
+// Calendar days of one month that are paydays, ascending
+export function paydaysInMonth(year, month, days) {
+  const last = daysInMonth(year, month);
+  const result = new Set();
+
+  for (const entry of days) {
+    if (Number.isInteger(entry)) {
+      result.add(Math.min(entry, last));
+    } else if (entry === 'last_day') {
+      result.add(last);
+    } else if (entry === 'first_working_day') {
+      let day = 1;
+      while (!isWorkingDay(year, month, day)) day++;
+      result.add(day);
+    } else if (entry === 'last_working_day') {
+      let day = last;
+      while (!isWorkingDay(year, month, day)) day--;
+      result.add(day);
+    }
+  }
+  return [...result].sort((a, b) => a - b);
+}
+
+// Next local occurrence of "HH:MM" strictly after now
+function nextClockTime(now, timeZone, clock) {
+  const minutes = parseClock(clock);
+  const today = zonedParts(now, timeZone);
+  const at = day => fromZoned({
+    year: today.year,
+    month: today.month,
+    day,
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  }, timeZone);
+
+  const candidate = at(today.day);
+  return candidate > now ? candidate : at(today.day + 1);
+}
+
+function nextPayday(now, timeZone, payday) {
+  const minutes = parseClock(payday.time);
+  const today = zonedParts(now, timeZone);
+
+  // Every payday calendar has at least one day a month, so two months is enough
+  for (let offset = 0; offset < 3; offset++) {
+    const year = today.year + Math.floor((today.month - 1 + offset) / 12);
+    const month = (today.month - 1 + offset) % 12 + 1;
+
+    for (const day of paydaysInMonth(year, month, payday.days)) {
+      const candidate = fromZoned({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+      if (candidate > now) return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Send time for a timing option. `delays` maps fixed timings to
+ * milliseconds; the rest resolve against `config` in `timeZone`.
+ */
+export function resolveSendAt(timing, { now = new Date(), timeZone, delays, config }) {
+  if (!isValidTimeZone(timeZone)) throw new Error(`Invalid time zone: ${timeZone}`);
+
+  if (delays[timing]) return new Date(now.getTime() + delays[timing]);
+  if (timing === 'next_morning' || timing === 'next_evening') {
+    return nextClockTime(now, timeZone, config[timing]);
+  }
+  if (timing === 'payday') return nextPayday(now, timeZone, config.payday);
+
+  throw new Error(`Unknown timing: ${timing}`);
+}
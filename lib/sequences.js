@@ -0,0 +1,57 @@
+/**
+ * Multi-touch follow-up sequences.
+ *
+ * A cohort's sequence is an ordered list of steps. Each step may pin any
+ * of timing / channel / lever / offer / tone; dimensions left out are
+ * chosen by that step's bandit. Step 1 is scheduled when the user enters
+ * the cohort, every later step is scheduled when the previous one is sent,
+ * with its timing measured from that send. The sequence stops at the
+ * first conversion or after the last step.
+ */
+
+export const MAX_STEPS = 10;
+
+const STEP_FIELDS = ['timing', 'channel', 'lever', 'offer', 'tone'];
+
+// frameworks: the catalog ({ timing: { options }, channel: [...], ... })
+export function validateSequence(steps, frameworks) {
+  const errors = [];
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return ['steps must be a non-empty array'];
+  }
+  if (steps.length > MAX_STEPS) {
+    errors.push(`a sequence can have at most ${MAX_STEPS} steps`);
+  }
+
+  steps.forEach((step, i) => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(`steps[${i}] must be an object`);
+      return;
+    }
+
+    for (const field of Object.keys(step)) {
+      if (!STEP_FIELDS.includes(field)) {
+        errors.push(`steps[${i}].${field} is not a step field (${STEP_FIELDS.join(', ')})`);
+        continue;
+      }
+
+      const allowed = field === 'timing' ? frameworks.timing.options : frameworks[field];
+      if (!allowed.includes(step[field])) {
+        errors.push(`steps[${i}].${field} must be one of ${allowed.join(', ')}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+export function normalizeSteps(steps) {
+  return steps.map(step => {
+    const normalized = {};
+    for (const field of STEP_FIELDS) {
+      if (step[field] !== undefined) normalized[field] = step[field];
+    }
+    return normalized;
+  });
+}
@@ -0,0 +1,209 @@
+/**
+ * Statistics for experiment readouts: confidence / credible intervals,
+ * two-proportion tests and sample-size planning.
+ *
+ * Rates are proportions (0-1) throughout; the API layer decides how to
+ * present them.
+ */
+
+// ============================================
+// NORMAL DISTRIBUTION
+// ============================================
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+export function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+// Acklam's rational approximation of the inverse normal CDF
+export function normalQuantile(p) {
+  if (p <= 0 || p >= 1) throw new RangeError('p must be in (0, 1)');
+
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// ============================================
+// BETA DISTRIBUTION
+// ============================================
+function logGamma(x) {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const coef of g) ser += coef / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes)
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-10) break;
+  }
+
+  return h;
+}
+
+export function betaCdf(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+export function betaQuantile(p, a, b) {
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (betaCdf(mid, a, b) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ============================================
+// INTERVALS
+// ============================================
+export function wilsonInterval(successes, n, level = 0.95) {
+  if (n === 0) return { low: 0, high: 1 };
+
+  const z = normalQuantile(1 - (1 - level) / 2);
+  const p = successes / n;
+  const denom = 1 + z * z / n;
+  const center = (p + z * z / (2 * n)) / denom;
+  const margin = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n)) / denom;
+
+  return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+// Equal-tailed interval of the Beta(prior + data) posterior
+export function credibleInterval(successes, n, level = 0.95, priorAlpha = 1, priorBeta = 1) {
+  const a = priorAlpha + successes;
+  const b = priorBeta + Math.max(n - successes, 0);
+  const tail = (1 - level) / 2;
+  return { low: betaQuantile(tail, a, b), high: betaQuantile(1 - tail, a, b) };
+}
+
+// ============================================
+// TESTS
+// ============================================
+// Pooled two-proportion z-test, two-sided. Returns null when either
+// side has no data or the pooled rate is degenerate.
+export function twoProportionTest(c1, n1, c2, n2) {
+  if (n1 === 0 || n2 === 0) return null;
+
+  const p1 = c1 / n1;
+  const p2 = c2 / n2;
+  const pooled = (c1 + c2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (se === 0) return null;
+
+  const z = (p1 - p2) / se;
+  return { z, p_value: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+// P(rate1 > rate2) under independent Beta posteriors, normal approximation
+export function probabilityToBeat(c1, n1, c2, n2, priorAlpha = 1, priorBeta = 1) {
+  const moments = (c, n) => {
+    const a = priorAlpha + c;
+    const b = priorBeta + Math.max(n - c, 0);
+    return {
+      mean: a / (a + b),
+      variance: a * b / ((a + b) ** 2 * (a + b + 1))
+    };
+  };
+
+  const x = moments(c1, n1);
+  const y = moments(c2, n2);
+  return normalCdf((x.mean - y.mean) / Math.sqrt(x.variance + y.variance));
+}
+
+// ============================================
+// SAMPLE SIZE
+// ============================================
+// Sends per arm needed to detect baseline → target with a two-sided test
+export function sampleSizePerArm(baselineRate, targetRate, alpha = 0.05, power = 0.8) {
+  const diff = Math.abs(targetRate - baselineRate);
+  if (diff === 0) return Infinity;
+
+  const zAlpha = normalQuantile(1 - alpha / 2);
+  const zBeta = normalQuantile(power);
+  const mean = (baselineRate + targetRate) / 2;
+
+  const numerator = zAlpha * Math.sqrt(2 * mean * (1 - mean)) +
+    zBeta * Math.sqrt(baselineRate * (1 - baselineRate) + targetRate * (1 - targetRate));
+
+  return Math.ceil((numerator * numerator) / (diff * diff));
+}
+
+// Smallest absolute lift over baseline detectable with n sends per arm
+export function minimumDetectableEffect(baselineRate, n, alpha = 0.05, power = 0.8) {
+  if (n === 0) return null;
+
+  let lo = 0;
+  let hi = 1 - baselineRate;
+  if (sampleSizePerArm(baselineRate, baselineRate + hi, alpha, power) > n) return null;
+
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (sampleSizePerArm(baselineRate, baselineRate + mid, alpha, power) > n) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
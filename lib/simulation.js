@@ -0,0 +1,266 @@
+/**
+ * Offline policy simulation: synthetic users with a known ground truth,
+ * and the regret / CVR / convergence readout of a run.
+ *
+ * A cohort's true conversion rate for a combo is its base_rate plus the
+ * effect of each chosen value (timing, channel, lever, offer, tone),
+ * clamped to [0, 1]; `combos` pins the rate of a whole
+ * timing|channel|lever|offer combo instead. Regret per send is the best
+ * rate the policy could have picked for that cohort minus the rate of
+ * what it did pick.
+ *
+ * Each user carries one uniform draw: they convert if it falls below the
+ * rate of the message they got. Every policy sees the same users and the
+ * same draws, so differences come from the policy, not the dice.
+ */
+
+import { defaultRules } from './rules.js';
+import { validateBanditConfig } from './bandit.js';
+
+export const TRUTH_DIMENSIONS = ['timing', 'channel', 'lever', 'offer', 'tone'];
+
+export const defaultScenario = {
+  users: 2000,
+  days: 14,
+  seed: 1,
+  holdout_percent: 0,
+  conversion_delay_minutes: 60,
+  convergence: { window: 200, tolerance: 0.1 },
+  cohorts: {
+    checkout_abandoners: {
+      share: 0.4,
+      base_rate: 0.04,
+      effects: {
+        channel: { whatsapp: 0.03 },
+        lever: { loss_aversion: 0.02 },
+        offer: { rupee_1_trial: 0.03 },
+        timing: { '2min': 0.01 }
+      }
+    },
+    payment_failed: {
+      share: 0.35,
+      base_rate: 0.08,
+      effects: {
+        channel: { whatsapp: 0.04 },
+        offer: { paytm_cashback: 0.02 },
+        tone: { personal: 0.01 }
+      }
+    },
+    paywall_bouncers: {
+      share: 0.25,
+      base_rate: 0.02,
+      effects: {
+        lever: { cliffhanger: 0.03 },
+        offer: { free_episode: 0.02 },
+        timing: { next_evening: 0.01 }
+      }
+    }
+  },
+  policies: [
+    { name: 'thompson', strategy: 'thompson' },
+    { name: 'thompson_factorial', strategy: 'thompson', mode: 'factorial' },
+    { name: 'ucb1', strategy: 'ucb1' },
+    { name: 'epsilon_greedy', strategy: 'epsilon_greedy', epsilon: 0.1 },
+    { name: 'random', strategy: 'epsilon_greedy', epsilon: 1 }
+  ]
+};
+
+// mulberry32: small, fast and good enough for simulation
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+const cohortTrigger = cohort => defaultRules.find(r => r.cohort === cohort && r.enabled)?.trigger_event;
+
+export function validateScenario(scenario) {
+  const errors = [];
+  const { users, days, seed, cohorts, policies, convergence } = scenario;
+
+  if (!(Number.isInteger(users) && users > 0 && users <= 100000)) errors.push('users must be an integer between 1 and 100000');
+  if (!(typeof days === 'number' && days > 0)) errors.push('days must be a positive number');
+  if (!Number.isInteger(seed)) errors.push('seed must be an integer');
+  if (!(typeof scenario.holdout_percent === 'number' && scenario.holdout_percent >= 0 && scenario.holdout_percent <= 100)) {
+    errors.push('holdout_percent must be between 0 and 100');
+  }
+  if (!(typeof scenario.conversion_delay_minutes === 'number' && scenario.conversion_delay_minutes > 0)) {
+    errors.push('conversion_delay_minutes must be a positive number');
+  }
+  if (!convergence || !(Number.isInteger(convergence.window) && convergence.window > 0) || !isRate(convergence.tolerance)) {
+    errors.push('convergence must be { window: positive integer, tolerance: 0-1 }');
+  }
+
+  if (!cohorts || typeof cohorts !== 'object' || Object.keys(cohorts).length === 0) {
+    errors.push('cohorts must name at least one cohort');
+  } else {
+    for (const [cohort, model] of Object.entries(cohorts)) {
+      const path = `cohorts.${cohort}`;
+      if (!cohortTrigger(cohort)) {
+        errors.push(`${path} has no built-in rule (${defaultRules.map(r => r.cohort).join(', ')})`);
+        continue;
+      }
+      if (!(typeof model.share === 'number' && model.share >= 0)) errors.push(`${path}.share must be a non-negative number`);
+      if (!isRate(model.base_rate)) errors.push(`${path}.base_rate must be between 0 and 1`);
+      for (const [dim, values] of Object.entries(model.effects || {})) {
+        if (!TRUTH_DIMENSIONS.includes(dim)) {
+          errors.push(`${path}.effects.${dim} is not a dimension (${TRUTH_DIMENSIONS.join(', ')})`);
+          continue;
+        }
+        for (const [value, effect] of Object.entries(values)) {
+          if (!(typeof effect === 'number' && effect >= -1 && effect <= 1)) {
+            errors.push(`${path}.effects.${dim}.${value} must be between -1 and 1`);
+          }
+        }
+      }
+      for (const [key, rate] of Object.entries(model.combos || {})) {
+        if (key.split('|').length !== 4) errors.push(`${path}.combos key ${key} must be timing|channel|lever|offer`);
+        else if (!isRate(rate)) errors.push(`${path}.combos.${key} must be between 0 and 1`);
+      }
+    }
+    if (Object.values(cohorts).reduce((sum, m) => sum + (m.share || 0), 0) <= 0) {
+      errors.push('cohort shares must add up to more than 0');
+    }
+  }
+
+  if (!Array.isArray(policies) || policies.length === 0) {
+    errors.push('policies must be a non-empty array');
+  } else {
+    const names = new Set();
+    policies.forEach((policy, i) => {
+      const { name, ...config } = policy || {};
+      if (typeof name !== 'string' || name === '') errors.push(`policies[${i}].name is required`);
+      else if (names.has(name)) errors.push(`policies[${i}].name ${name} is used twice`);
+      names.add(name);
+      for (const error of validateBanditConfig(config)) errors.push(`policies[${i}]: ${error}`);
+    });
+  }
+
+  return errors;
+}
+
+export function trueRate(model, combo) {
+  const key = `${combo.timing}|${combo.channel}|${combo.lever}|${combo.offer}`;
+  let rate = model.combos?.[key] ?? model.base_rate;
+  for (const dim of TRUTH_DIMENSIONS) {
+    // A pinned combo already includes its own four dimensions
+    if (model.combos?.[key] !== undefined && dim !== 'tone') continue;
+    rate += model.effects?.[dim]?.[combo[dim]] || 0;
+  }
+  return Math.min(Math.max(rate, 0), 1);
+}
+
+// Best rate over every combo the engine can choose from `options`
+export function bestRate(model, options) {
+  let best = 0;
+  const walk = (i, combo) => {
+    if (i === TRUTH_DIMENSIONS.length) {
+      best = Math.max(best, trueRate(model, combo));
+      return;
+    }
+    const dim = TRUTH_DIMENSIONS[i];
+    for (const value of options[dim] || [null]) walk(i + 1, { ...combo, [dim]: value });
+  };
+  walk(0, {});
+  return best;
+}
+
+// One trigger event per user, spread evenly at random over the days, with
+// the user's conversion draw and delay kept alongside
+export function syntheticUsers(scenario, rng) {
+  const cohorts = Object.entries(scenario.cohorts).filter(([, m]) => m.share > 0);
+  const totalShare = cohorts.reduce((sum, [, m]) => sum + m.share, 0);
+  const start = Date.UTC(2024, 0, 1);
+  const users = [];
+
+  for (let i = 0; i < scenario.users; i++) {
+    let pick = rng() * totalShare;
+    const [cohort] = cohorts.find(([, m]) => (pick -= m.share) < 0) || cohorts[cohorts.length - 1];
+    users.push({
+      user_id: `sim_${String(i + 1).padStart(6, '0')}`,
+      cohort,
+      time: start + Math.floor(rng() * scenario.days * 24 * 60 * 60 * 1000),
+      draw: rng(),
+      delay_ms: Math.round(-Math.log(1 - rng()) * scenario.conversion_delay_minutes * 60 * 1000)
+    });
+  }
+
+  return users.map(user => ({
+    ...user,
+    event: { event_type: cohortTrigger(user.cohort), user_id: user.user_id, time: user.time }
+  }));
+}
+
+// First send index after which the rolling mean rate stays within
+// tolerance of the optimum, or null if it never settles
+function convergedAfter(sends, { window, tolerance }) {
+  if (sends.length < window) return null;
+  const target = sends[0].best * (1 - tolerance);
+
+  let sum = 0;
+  let settled = null;
+  for (let i = 0; i < sends.length; i++) {
+    sum += sends[i].rate;
+    if (i >= window) sum -= sends[i - window].rate;
+    if (i < window - 1) continue;
+    if (sum / window >= target) settled ??= i + 1;
+    else settled = null;
+  }
+  return settled;
+}
+
+const round = (value, places = 4) => Number(value.toFixed(places));
+const pct = rate => round(rate * 100, 2);
+
+function describeSends(sends, convergence) {
+  const regret = sends.reduce((sum, s) => sum + s.best - s.rate, 0);
+  const conversions = sends.filter(s => s.converted).length;
+  const tail = sends.slice(Math.floor(sends.length * 0.8));
+  const n = Math.max(sends.length, 1);
+
+  return {
+    sends: sends.length,
+    conversions,
+    cvr: pct(conversions / n),
+    expected_cvr: pct(sends.reduce((sum, s) => sum + s.rate, 0) / n),
+    optimal_cvr: pct(sends.reduce((sum, s) => sum + s.best, 0) / n),
+    cumulative_regret: round(regret, 2),
+    regret_per_send: round(regret / n),
+    best_arm_share_final: pct(tail.filter(s => s.rate >= s.best - 1e-9).length / Math.max(tail.length, 1)),
+    converged_after_sends: sends.length > 0 ? convergedAfter(sends, convergence) : null
+  };
+}
+
+/**
+ * sends: [{ cohort, rate, best, converted }] in send order.
+ * Convergence is per cohort (each has its own optimum); overall it is the
+ * slowest cohort, null if any never settled.
+ */
+export function summarizeSimulation(sends, scenario) {
+  const byCohort = {};
+  for (const cohort of Object.keys(scenario.cohorts)) {
+    const rows = sends.filter(s => s.cohort === cohort);
+    if (rows.length > 0) byCohort[cohort] = describeSends(rows, scenario.convergence);
+  }
+
+  const overall = describeSends(sends, scenario.convergence);
+  const settled = Object.values(byCohort).map(c => c.converged_after_sends);
+  overall.converged_after_sends = settled.length > 0 && settled.every(n => n !== null) ? Math.max(...settled) : null;
+
+  // Cumulative regret at ten evenly spaced points, for plotting
+  const curve = [];
+  let regret = 0;
+  const every = Math.max(Math.ceil(sends.length / 10), 1);
+  sends.forEach((s, i) => {
+    regret += s.best - s.rate;
+    if ((i + 1) % every === 0 || i === sends.length - 1) curve.push([i + 1, round(regret, 2)]);
+  });
+
+  return { ...overall, regret_curve: curve, by_cohort: byCohort };
+}
@@ -0,0 +1,172 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Collections that get their own table in SQLite (and stay arrays in
+ * lowdb). key is the primary key; columns are copied out of the row so
+ * they can be filtered on and indexed, the full row is kept as JSON.
+ * keyOf, where given, derives the key of a row stored before the
+ * collection had one (see migrateLegacyRows).
+ */
+export const COLLECTIONS = {
+  experiments: {
+    key: 'id',
+    columns: ['user_id', 'cohort', 'arm', 'status', 'sequence_id', 'created_at'],
+    indexes: [['user_id', 'created_at'], ['status'], ['cohort', 'created_at'], ['sequence_id']]
+  },
+  combo_stats: {
+    key: 'combo_key',
+    columns: ['sent_count'],
+    indexes: []
+  },
+  scheduled_messages: {
+    key: 'id',
+    columns: ['experiment_id', 'user_id', 'status', 'send_at'],
+    indexes: [['status', 'send_at'], ['user_id', 'status'], ['experiment_id']]
+  },
+  user_journey: {
+    key: 'id',
+    columns: ['user_id', 'checked', 'check_at'],
+    indexes: [['checked', 'check_at'], ['user_id', 'checked']]
+  },
+  // Dedup keys of ingested webhook events
+  ingested_events: {
+    key: 'id',
+    columns: ['seen_at'],
+    indexes: [['seen_at']]
+  },
+  // Every received Amplitude event, for per-user timelines
+  event_log: {
+    key: 'id',
+    columns: ['user_id', 'event_time', 'received_at'],
+    indexes: [['user_id', 'event_time'], ['received_at']]
+  },
+  // Who changed which config, with the value before and after
+  audit_log: {
+    key: 'id',
+    columns: ['at', 'actor', 'action', 'target'],
+    indexes: [['at'], ['target', 'at'], ['actor', 'at']]
+  },
+  // Who is working on a job item (lib/jobs.js), until when
+  job_leases: {
+    key: 'id',
+    columns: ['owner', 'expires_at'],
+    indexes: [['expires_at']]
+  },
+  // Attributed conversions with every touch in the window and its credit
+  conversions: {
+    key: 'id',
+    columns: ['user_id', 'converted_at'],
+    indexes: [['user_id', 'converted_at'], ['converted_at']]
+  },
+  // Latest consent status per user and channel (lib/consent.js), id user_id:channel
+  consents: {
+    key: 'id',
+    columns: ['user_id', 'channel', 'status'],
+    indexes: [['user_id'], ['status']]
+  },
+  // Sends blocked, moved to another channel or deferred for consent / send windows
+  suppressions: {
+    key: 'id',
+    columns: ['user_id', 'at', 'reason'],
+    indexes: [['at'], ['user_id', 'at']]
+  },
+  // Events the rules refer to, kept for occurrence windows and follow-ups
+  user_events: {
+    key: 'id',
+    columns: ['user_id', 'event_type', 'event_time'],
+    indexes: [['user_id', 'event_time'], ['event_time']],
+    keyOf: () => randomUUID()
+  },
+  // Time zone, locale and feature attributes last seen per user
+  user_profiles: {
+    key: 'user_id',
+    columns: [],
+    indexes: []
+  },
+  // Learned stats per cohort and sequence step, id from statsKey()
+  arm_stats: {
+    key: 'id',
+    columns: ['cohort'],
+    indexes: [['cohort']],
+    keyOf: row => statsKey(row.cohort, row.step, row.combo_key)
+  },
+  dimension_stats: {
+    key: 'id',
+    columns: ['cohort'],
+    indexes: [['cohort']],
+    keyOf: row => statsKey(row.cohort, row.step, row.dimension, row.value)
+  },
+  context_stats: {
+    key: 'id',
+    columns: ['cohort'],
+    indexes: [['cohort']],
+    keyOf: row => statsKey(row.cohort, row.step, row.combo_key, row.feature, row.value)
+  },
+  // Multi-touch sequences started for a user (lib/sequences.js)
+  sequences: {
+    key: 'id',
+    columns: ['user_id', 'cohort', 'status'],
+    indexes: [['user_id', 'status'], ['cohort']]
+  }
+};
+
+export const COLLECTION_NAMES = Object.keys(COLLECTIONS);
+
+// Rows written before sequences existed have no step and count as step 1
+export function statsKey(cohort, step, ...parts) {
+  return [cohort, step || 1, ...parts].join('|');
+}
+
+// Fills in the key of rows kept before their collection had one, so they
+// can be saved by key. Returns the number of rows changed.
+export function migrateLegacyRows(name, rows) {
+  const { key, keyOf } = COLLECTIONS[name];
+  let changed = 0;
+  for (const row of rows) {
+    if ((row[key] === undefined || row[key] === null) && keyOf) {
+      row[key] = keyOf(row);
+      changed++;
+    }
+  }
+  return changed;
+}
+
+const OPS = {
+  lt: (a, b) => a !== null && a !== undefined && a < b,
+  lte: (a, b) => a !== null && a !== undefined && a <= b,
+  gt: (a, b) => a !== null && a !== undefined && a > b,
+  gte: (a, b) => a !== null && a !== undefined && a >= b,
+  ne: (a, b) => (a ?? null) !== b
+};
+
+export const WHERE_OPS = Object.keys(OPS);
+
+/**
+ * where: { field: value } for equality (null matches null / missing),
+ * { field: [a, b] } for any of, { field: { lte: x, ne: y } } for ranges.
+ */
+export function matches(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    const value = row[field];
+    if (Array.isArray(condition)) return condition.includes(value);
+    if (condition !== null && typeof condition === 'object') {
+      return Object.entries(condition).every(([op, operand]) => {
+        if (!Object.hasOwn(OPS, op)) throw new Error(`Unknown operator: ${op}`);
+        return OPS[op](value, operand);
+      });
+    }
+    return (value ?? null) === condition;
+  });
+}
+
+export function compareBy(field, direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  return (a, b) => {
+    const x = a[field] ?? null;
+    const y = b[field] ?? null;
+    if (x === y) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return x < y ? -sign : sign;
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Storage layer.
+ *
+ * experiments, combo_stats, scheduled_messages, user_journey,
+ * ingested_events, event_log, audit_log, job_leases, conversions,
+ * consents, suppressions, user_events, user_profiles, arm_stats,
+ * dimension_stats, context_stats and sequences are collections with a
+ * small query API; the rest of the state (config, rules, templates...) is
+ * a plain object at store.data.
+ *
+ *   collection.get(key)                                → row | null
+ *   collection.find(where, { orderBy, limit, offset }) → rows
+ *   collection.findOne(where, { orderBy })             → row | null
+ *   collection.count(where)                            → number
+ *   collection.insert(row) / collection.save(row)
+ *   collection.remove(where)                           → number removed
+ *
+ * Rows are plain objects: change one, then save() it. where and orderBy
+ * are described in collections.js.
+ *
+ *   store.write()            persists store.data (and, for lowdb, everything);
+ *                            throws (code STORE_CONFLICT) if another
+ *                            process changed a document it would
+ *                            overwrite (SQLite)
+ *   store.refresh()          reloads the store.data documents other
+ *                            processes wrote since → their keys
+ *   store.transaction(fn)    runs a synchronous fn atomically, across
+ *                            processes sharing a SQLite file too
+ *   store.ping()             throws unless the store can be written to
+ *   store.writes             { last_ok_at, last_error, last_error_at } of write()
+ *
+ * STORAGE_DRIVER picks the backend: `lowdb` (default, one JSON file, fine
+ * for local development) or `sqlite` (better-sqlite3, indexed tables).
+ */
+
+import { createLowdbStore } from './lowdb.js';
+import { createSqliteStore } from './sqlite.js';
+
+export { COLLECTIONS, COLLECTION_NAMES, statsKey, migrateLegacyRows } from './collections.js';
+
+export const DRIVERS = ['lowdb', 'sqlite'];
+
+export async function createStore({ driver = 'lowdb', path, defaults = {} }) {
+  if (driver === 'sqlite') return trackWrites(await createSqliteStore(path, defaults));
+  if (driver === 'lowdb') return trackWrites(await createLowdbStore(path, defaults));
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver} (${DRIVERS.join(', ')})`);
+}
+
+// A failing write() still throws; store.writes lets readiness checks see it
+function trackWrites(store) {
+  const write = store.write;
+  store.writes = { last_ok_at: null, last_error: null, last_error_at: null };
+  store.write = async () => {
+    try {
+      await write();
+      store.writes.last_ok_at = new Date().toISOString();
+      store.writes.last_error = null;
+    } catch (error) {
+      store.writes.last_error = error.message;
+      store.writes.last_error_at = new Date().toISOString();
+      throw error;
+    }
+  };
+  return store;
+}
@@ -0,0 +1,103 @@
+import { access, constants } from 'fs/promises';
+import { dirname } from 'path';
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { COLLECTIONS, COLLECTION_NAMES, matches, compareBy, migrateLegacyRows } from './collections.js';
+
+// Whole state in one JSON file, for local development. Collections are
+// plain arrays in the same layout db.json always had; nothing reaches
+// disk until write().
+function createArrayCollection(rows, key) {
+  const indexOf = id => rows.findIndex(row => row[key] === id);
+
+  return {
+    get(id) {
+      return rows.find(row => row[key] === id) || null;
+    },
+
+    find(where = {}, { orderBy, limit, offset = 0 } = {}) {
+      let result = rows.filter(row => matches(row, where));
+      if (orderBy) result.sort(compareBy(...orderBy));
+      if (offset > 0 || limit !== undefined) result = result.slice(offset, limit === undefined ? undefined : offset + limit);
+      return result;
+    },
+
+    findOne(where, options = {}) {
+      return this.find(where, { ...options, limit: 1 })[0] || null;
+    },
+
+    count(where = {}) {
+      return rows.filter(row => matches(row, where)).length;
+    },
+
+    insert(row) {
+      if (indexOf(row[key]) !== -1) throw new Error(`Duplicate ${key}: ${row[key]}`);
+      rows.push(row);
+      return row;
+    },
+
+    // Insert or replace by key
+    save(row) {
+      const index = indexOf(row[key]);
+      if (index === -1) rows.push(row);
+      else rows[index] = row;
+      return row;
+    },
+
+    remove(where) {
+      const before = rows.length;
+      const kept = rows.filter(row => !matches(row, where));
+      // In place (db.data holds this array); spreading a large one into
+      // splice() would overflow the stack
+      rows.length = 0;
+      for (const row of kept) rows.push(row);
+      return before - kept.length;
+    }
+  };
+}
+
+export async function createLowdbStore(path, defaults = {}) {
+  const db = new Low(new JSONFile(path), {});
+  await db.read();
+  db.data ||= {};
+
+  for (const [key, value] of Object.entries(defaults)) {
+    db.data[key] ??= value;
+  }
+
+  const store = {
+    driver: 'lowdb',
+    location: path,
+    data: db.data,
+
+    async write() {
+      await db.write();
+    },
+
+    // The file is replaced on write, so its directory must be writable
+    async ping() {
+      await access(dirname(path), constants.W_OK);
+    },
+
+    // Everything is in memory until the next write(), which replaces the
+    // file atomically, so there is nothing to roll back
+    transaction(fn) {
+      return fn();
+    },
+
+    // One process owns the file; nobody else writes to it
+    refresh() {
+      return [];
+    },
+
+    close() {}
+  };
+
+  for (const name of COLLECTION_NAMES) {
+    db.data[name] ||= [];
+    migrateLegacyRows(name, db.data[name]);
+    store[name] = createArrayCollection(db.data[name], COLLECTIONS[name].key);
+  }
+
+  return store;
+}
@@ -0,0 +1,289 @@
+import { COLLECTIONS, COLLECTION_NAMES, WHERE_OPS, matches, compareBy, migrateLegacyRows } from './collections.js';
+
+const SQL_OPS = { lt: '<', lte: '<=', gt: '>', gte: '>=' };
+
+// SQLite has no booleans; undefined binds as NULL
+function toColumn(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value ?? null;
+}
+
+// Splits a where object into SQL on indexed columns and a remainder that
+// is matched in JS on the decoded rows
+function compileWhere(where, columns) {
+  const clauses = [];
+  const params = [];
+  const rest = {};
+
+  for (const [field, condition] of Object.entries(where)) {
+    if (!columns.includes(field)) {
+      rest[field] = condition;
+    } else if (Array.isArray(condition)) {
+      if (condition.length === 0) {
+        clauses.push('0');
+      } else {
+        clauses.push(`${field} IN (${condition.map(() => '?').join(', ')})`);
+        params.push(...condition.map(toColumn));
+      }
+    } else if (condition !== null && typeof condition === 'object') {
+      for (const [op, operand] of Object.entries(condition)) {
+        if (!WHERE_OPS.includes(op)) throw new Error(`Unknown operator: ${op}`);
+        if (op === 'ne') {
+          clauses.push(operand === null ? `${field} IS NOT NULL` : `(${field} IS NULL OR ${field} != ?)`);
+          if (operand !== null) params.push(toColumn(operand));
+        } else {
+          clauses.push(`${field} ${SQL_OPS[op]} ?`);
+          params.push(toColumn(operand));
+        }
+      }
+    } else if (condition === null) {
+      clauses.push(`${field} IS NULL`);
+    } else {
+      clauses.push(`${field} = ?`);
+      params.push(toColumn(condition));
+    }
+  }
+
+  return {
+    sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params,
+    rest
+  };
+}
+
+function createTableCollection(sqlite, name, { key, columns }) {
+  const allColumns = [key, ...columns];
+  const upsert = sqlite.prepare(
+    `INSERT INTO ${name} (${allColumns.join(', ')}, data) VALUES (${allColumns.map(() => '?').join(', ')}, ?)
+     ON CONFLICT(${key}) DO UPDATE SET ${[...columns, 'data'].map(c => `${c} = excluded.${c}`).join(', ')}`
+  );
+  const insert = sqlite.prepare(
+    `INSERT INTO ${name} (${allColumns.join(', ')}, data) VALUES (${allColumns.map(() => '?').join(', ')}, ?)`
+  );
+  const byKey = sqlite.prepare(`SELECT data FROM ${name} WHERE ${key} = ?`);
+  const values = row => [...allColumns.map(c => toColumn(row[c])), JSON.stringify(row)];
+
+  return {
+    get(id) {
+      const found = byKey.get(id);
+      return found ? JSON.parse(found.data) : null;
+    },
+
+    find(where = {}, { orderBy, limit, offset = 0 } = {}) {
+      const { sql, params, rest } = compileWhere(where, allColumns);
+      const sqlOrder = orderBy && allColumns.includes(orderBy[0]);
+      const exact = Object.keys(rest).length === 0;
+
+      let query = `SELECT data FROM ${name}${sql}`;
+      if (sqlOrder) {
+        const [field, direction = 'asc'] = orderBy;
+        query += ` ORDER BY ${field} IS NULL, ${field} ${direction === 'desc' ? 'DESC' : 'ASC'}`;
+      }
+      const paged = offset > 0 || limit !== undefined;
+      const sqlPage = paged && exact && (sqlOrder || !orderBy);
+      if (sqlPage) query += ` LIMIT ${limit === undefined ? -1 : Number(limit)} OFFSET ${Number(offset)}`;
+
+      let rows = sqlite.prepare(query).all(...params).map(r => JSON.parse(r.data));
+      if (!exact) rows = rows.filter(row => matches(row, rest));
+      if (orderBy && !sqlOrder) rows.sort(compareBy(...orderBy));
+      if (paged && !sqlPage) rows = rows.slice(offset, limit === undefined ? undefined : offset + limit);
+      return rows;
+    },
+
+    findOne(where, options = {}) {
+      return this.find(where, { ...options, limit: 1 })[0] || null;
+    },
+
+    count(where = {}) {
+      const { sql, params, rest } = compileWhere(where, allColumns);
+      if (Object.keys(rest).length > 0) return this.find(where).length;
+      return sqlite.prepare(`SELECT COUNT(*) AS n FROM ${name}${sql}`).get(...params).n;
+    },
+
+    insert(row) {
+      insert.run(...values(row));
+      return row;
+    },
+
+    // Insert or replace by key
+    save(row) {
+      upsert.run(...values(row));
+      return row;
+    },
+
+    remove(where) {
+      const { sql, params, rest } = compileWhere(where, allColumns);
+      if (Object.keys(rest).length === 0) {
+        return sqlite.prepare(`DELETE FROM ${name}${sql}`).run(...params).changes;
+      }
+      const keys = this.find(where).map(row => row[key]);
+      const remove = sqlite.prepare(`DELETE FROM ${name} WHERE ${key} = ?`);
+      return sqlite.transaction(() => keys.reduce((n, id) => n + remove.run(id).changes, 0))();
+    }
+  };
+}
+
+function createSchema(sqlite) {
+  sqlite.exec('CREATE TABLE IF NOT EXISTS documents (key TEXT PRIMARY KEY, data TEXT NOT NULL, version INTEGER NOT NULL DEFAULT 1)');
+  if (!sqlite.prepare('PRAGMA table_info(documents)').all().some(c => c.name === 'version')) {
+    sqlite.exec('ALTER TABLE documents ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+  }
+
+  for (const name of COLLECTION_NAMES) {
+    const { key, columns, indexes } = COLLECTIONS[name];
+    sqlite.exec(`CREATE TABLE IF NOT EXISTS ${name} (${[`${key} TEXT PRIMARY KEY`, ...columns, 'data TEXT NOT NULL'].join(', ')})`);
+    for (const indexColumns of indexes) {
+      sqlite.exec(`CREATE INDEX IF NOT EXISTS idx_${name}_${indexColumns.join('_')} ON ${name} (${indexColumns.join(', ')})`);
+    }
+  }
+}
+
+// Stores written before a key became a collection kept it as a JSON
+// document; its rows move into the table once, by whichever process
+// opens the file first
+function moveDocumentsToTables(sqlite, collections) {
+  const select = sqlite.prepare('SELECT data FROM documents WHERE key = ?');
+  const remove = sqlite.prepare('DELETE FROM documents WHERE key = ?');
+
+  sqlite.transaction(() => {
+    for (const name of COLLECTION_NAMES) {
+      const found = select.get(name);
+      if (!found) continue;
+      const rows = JSON.parse(found.data);
+      migrateLegacyRows(name, rows);
+      const { key } = COLLECTIONS[name];
+      for (const row of rows) {
+        if (row[key] !== undefined && row[key] !== null) collections[name].save(row);
+      }
+      remove.run(name);
+    }
+  }).immediate();
+}
+
+/**
+ * SQLite store for production volume. Collections are tables written
+ * through on every insert / save; everything else (config, rules,
+ * templates...) lives as JSON documents in `documents`, one row per key, and
+ * is persisted by write().
+ *
+ * Several processes may share the file. Every document carries a version:
+ * refresh() reloads the ones another process has written since, and
+ * write() refuses to overwrite a document that changed after this process
+ * read it.
+ */
+export async function createSqliteStore(path, defaults = {}) {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch (error) {
+    throw new Error(`STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+
+  const sqlite = new Database(path);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma('synchronous = NORMAL');
+  sqlite.pragma('busy_timeout = 5000');
+  createSchema(sqlite);
+
+  const collections = {};
+  for (const name of COLLECTION_NAMES) {
+    collections[name] = createTableCollection(sqlite, name, COLLECTIONS[name]);
+  }
+  moveDocumentsToTables(sqlite, collections);
+
+  // Defaults are stored straight away, so every document has a version
+  // before anything edits it
+  const addDocument = sqlite.prepare('INSERT OR IGNORE INTO documents (key, data) VALUES (?, ?)');
+  sqlite.transaction(() => {
+    for (const [key, value] of Object.entries(defaults)) {
+      if (!COLLECTIONS[key]) addDocument.run(key, JSON.stringify(value));
+    }
+  }).immediate();
+
+  const data = {};
+  const written = new Map();
+  const versions = new Map();
+  const selectVersions = sqlite.prepare('SELECT key, version FROM documents');
+  const selectDocument = sqlite.prepare('SELECT data, version FROM documents WHERE key = ?');
+  const putDocument = sqlite.prepare(
+    `INSERT INTO documents (key, data) VALUES (?, ?)
+     ON CONFLICT(key) DO UPDATE SET data = excluded.data, version = documents.version + 1`
+  );
+
+  // Returns the keys whose stored version differs from the one loaded
+  const reload = sqlite.transaction(onlyKeys => {
+    const reloaded = [];
+    for (const { key, version } of selectVersions.all()) {
+      if (versions.get(key) === version || (onlyKeys && !onlyKeys.includes(key))) continue;
+      const { data: json } = selectDocument.get(key);
+      data[key] = JSON.parse(json);
+      written.set(key, json);
+      versions.set(key, version);
+      reloaded.push(key);
+    }
+    return reloaded;
+  });
+  reload();
+
+  const store = {
+    driver: 'sqlite',
+    location: path,
+    data,
+
+    // Only documents that changed since the last write are rewritten. If
+    // another process wrote one of them first, nothing is written, the
+    // ones it changed are reloaded and write() throws a STORE_CONFLICT
+    // error; redoing the change on the reloaded data then succeeds.
+    async write() {
+      const changed = [];
+      for (const [key, value] of Object.entries(data)) {
+        const json = JSON.stringify(value);
+        if (written.get(key) !== json) changed.push([key, json]);
+      }
+      if (changed.length === 0) return;
+
+      const conflicts = sqlite.transaction(() => {
+        const stale = changed.filter(([key]) => selectDocument.get(key)?.version !== versions.get(key));
+        if (stale.length > 0) return stale.map(([key]) => key);
+        for (const [key, json] of changed) putDocument.run(key, json);
+        return [];
+      }).immediate();
+
+      if (conflicts.length > 0) {
+        reload(conflicts);
+        throw Object.assign(
+          new Error(`${conflicts.join(', ')} changed in another process since it was read here; reloaded, nothing written`),
+          { code: 'STORE_CONFLICT', keys: conflicts }
+        );
+      }
+      for (const [key, json] of changed) {
+        written.set(key, json);
+        versions.set(key, (versions.get(key) ?? 0) + 1);
+      }
+    },
+
+    // Picks up documents other processes have written; returns their keys
+    refresh() {
+      return reload();
+    },
+
+    // IMMEDIATE takes the write lock up front, so another process
+    // cannot change what fn read before fn writes (busy_timeout waits for
+    // the lock). Nested calls become savepoints.
+    transaction(fn) {
+      return sqlite.transaction(fn).immediate();
+    },
+
+    // Takes the write lock and lets it go, so a read-only or wedged
+    // database fails here rather than on the next send
+    async ping() {
+      sqlite.transaction(() => sqlite.prepare('SELECT 1').get()).immediate();
+    },
+
+    close() {
+      sqlite.close();
+    }
+  };
+
+  return Object.assign(store, collections);
+}
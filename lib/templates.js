@@ -0,0 +1,190 @@
+/**
+ * Message library: versioned copy templates per lever and locale.
+ *
+ * A template's body is the copy for one lever. Templates without a tone
+ * are wrapped in the combo's tone frame for the template's locale;
+ * tone-specific templates are sent as written. Variables are `{name}` or
+ * `{name|fallback}` and every occurrence is replaced. Rendered text is cut
+ * to the channel's limits.
+ */
+
+import { LOCALES, TONE_FRAMES, OFFER_TEXT, LEVER_COPY } from './locales.js';
+
+export const VARIABLES = {
+  name: 'there',
+  region: 'your city',
+  count: '1000+',
+  hours: 'a few',
+  offer: '',
+  copy: ''
+};
+
+export const CHANNEL_LIMITS = {
+  push: { title: 65, body: 240 },
+  whatsapp: { body: 1024 },
+  sms: { body: 160 }
+};
+
+// The seeded copy, one version-1 template per line. English ids predate
+// locales and carry no locale suffix.
+export function defaultTemplates(now = new Date().toISOString()) {
+  return Object.entries(LEVER_COPY).flatMap(([locale, levers]) =>
+    Object.entries(levers).flatMap(([lever, lines]) =>
+      lines.map((body, i) => newTemplate({
+        id: locale === 'english' ? `${lever}_${i + 1}` : `${lever}_${locale}_${i + 1}`,
+        lever,
+        locale,
+        body
+      }, now))
+    )
+  );
+}
+
+const ID_PATTERN = /^[a-z0-9_-]+$/;
+const VARIABLE_PATTERN = /\{(\w+)(?:\|([^}]*))?\}/g;
+
+export function newTemplate(input, now = new Date().toISOString()) {
+  const template = {
+    id: input.id,
+    lever: input.lever,
+    locale: input.locale || 'english',
+    tone: input.tone || null,
+    channels: input.channels || [],
+    title: input.title || null,
+    body: input.body,
+    enabled: input.enabled ?? true,
+    version: 1,
+    versions: [],
+    created_at: now,
+    updated_at: now,
+    archived_at: null
+  };
+  template.versions.push({ version: 1, title: template.title, body: template.body, created_at: now });
+  return template;
+}
+
+// Applies a partial update. A changed title or body becomes a new version;
+// experiments keep pointing at the version they were sent with.
+export function reviseTemplate(template, changes, now = new Date().toISOString()) {
+  const next = {
+    ...template,
+    ...changes,
+    id: template.id,
+    tone: (changes.tone !== undefined ? changes.tone : template.tone) || null,
+    title: (changes.title !== undefined ? changes.title : template.title) || null,
+    version: template.version,
+    versions: template.versions,
+    created_at: template.created_at,
+    updated_at: now
+  };
+
+  if (next.title !== template.title || next.body !== template.body) {
+    next.version = template.version + 1;
+    next.versions = [...template.versions, { version: next.version, title: next.title, body: next.body, created_at: now }];
+  }
+  return next;
+}
+
+function variablesIn(text) {
+  return [...(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+}
+
+export function validateTemplate(template, frameworks) {
+  const errors = [];
+  const isNonEmptyString = v => typeof v === 'string' && v.length > 0;
+
+  if (!isNonEmptyString(template.id) || !ID_PATTERN.test(template.id)) {
+    errors.push('id must match [a-z0-9_-]+');
+  }
+  if (!frameworks.lever.includes(template.lever)) {
+    errors.push(`lever must be one of ${frameworks.lever.join(', ')}`);
+  }
+  if (!LOCALES.includes(template.locale)) {
+    errors.push(`locale must be one of ${LOCALES.join(', ')}`);
+  }
+  if (template.tone !== null && !frameworks.tone.includes(template.tone)) {
+    errors.push(`tone must be null or one of ${frameworks.tone.join(', ')}`);
+  }
+  if (!Array.isArray(template.channels) || !template.channels.every(c => frameworks.channel.includes(c))) {
+    errors.push(`channels must be an array of ${frameworks.channel.join(', ')}`);
+  }
+  if (!isNonEmptyString(template.body)) errors.push('body is required');
+  if (template.title !== null && !isNonEmptyString(template.title)) errors.push('title must be a string');
+  if (typeof template.enabled !== 'boolean') errors.push('enabled must be a boolean');
+
+  for (const name of [...variablesIn(template.title), ...variablesIn(template.body)]) {
+    if (!(name in VARIABLES) || name === 'copy') errors.push(`unknown variable {${name}}`);
+  }
+
+  const channels = Array.isArray(template.channels) && template.channels.length > 0
+    ? template.channels
+    : Object.keys(CHANNEL_LIMITS);
+  for (const channel of channels) {
+    const limits = CHANNEL_LIMITS[channel] || {};
+    if (limits.body && template.body?.length > limits.body) {
+      errors.push(`body is longer than the ${channel} limit of ${limits.body} characters`);
+    }
+    if (limits.title && template.title?.length > limits.title) {
+      errors.push(`title is longer than the ${channel} title limit of ${limits.title} characters`);
+    }
+  }
+
+  return errors;
+}
+
+export function interpolate(text, variables = {}) {
+  return text.replace(VARIABLE_PATTERN, (_, name, fallback) => {
+    const value = variables[name];
+    if (value !== undefined && value !== null && value !== '') return String(value);
+    return fallback ?? VARIABLES[name] ?? '';
+  });
+}
+
+function truncate(text, limit) {
+  const chars = [...text];
+  return chars.length > limit ? chars.slice(0, limit - 1).join('') + '…' : text;
+}
+
+// Enabled, unarchived templates usable for a combo in one locale
+export function candidateTemplates(templates, { lever, tone, channel }, locale) {
+  return templates.filter(t =>
+    t.enabled &&
+    !t.archived_at &&
+    t.lever === lever &&
+    t.locale === locale &&
+    (t.tone === null || t.tone === tone) &&
+    (t.channels.length === 0 || t.channels.includes(channel))
+  );
+}
+
+/**
+ * Renders a template for a combo. Returns { title, body, truncated }.
+ * `offers` / `frames` are the offer text and tone frames by locale, as
+ * in OFFER_TEXT / TONE_FRAMES (the server passes the catalog's, see
+ * lib/catalog.js).
+ */
+export function renderTemplate(
+  template, { tone, channel, offer }, variables = {}, { offers, frames } = { offers: OFFER_TEXT, frames: TONE_FRAMES }
+) {
+  const offerText = offers[template.locale]?.[offer] || offers.english?.[offer] || 'Start watching';
+  const values = { ...variables, offer: offerText };
+  const copy = interpolate(template.body, values);
+  const frame = template.tone === null ? frames[template.locale]?.[tone] || '{copy}. {offer}' : null;
+
+  let body = frame ? interpolate(frame, { ...values, copy }) : copy;
+  let title = template.title ? interpolate(template.title, values) : null;
+
+  const limits = CHANNEL_LIMITS[channel] || {};
+  let truncated = false;
+  if (limits.body && [...body].length > limits.body) {
+    body = truncate(body, limits.body);
+    truncated = true;
+  }
+  if (title && limits.title && [...title].length > limits.title) {
+    title = truncate(title, limits.title);
+    truncated = true;
+  }
+  if (!limits.title) title = null;
+
+  return { title, body, truncated };
+}
@@ -0,0 +1,123 @@
+/**
+ * Per-user timeline: everything the engine saw and did for one user -
+ * received events, journeys and how they were judged, experiments, their
+ * messages and conversions, consent changes and sends held back by them -
+ * as one list of { at, type, ...details }.
+ *
+ * Events sit at the time they happened (received_at says when they
+ * arrived). Entries at the same instant keep causal order: a journey is
+ * judged before the experiment it creates, a message is scheduled with
+ * its experiment and sent after it.
+ */
+
+export const TIMELINE_TYPES = [
+  'event',
+  'journey_started', 'journey_checked', 'journey_corrected',
+  'experiment_created',
+  'message_scheduled', 'message_cancelled', 'message_failed', 'message_sent',
+  'message_delivered', 'message_opened', 'message_clicked',
+  'converted',
+  'sequence_ended',
+  'consent_changed', 'suppressed'
+];
+
+export function buildTimeline({
+  events = [], journeys = [], experiments = [], messages = [], sequences = [], consents = [], suppressions = []
+}) {
+  const entries = [];
+  const add = (at, type, details) => {
+    if (at) entries.push({ at, type, ...details });
+  };
+
+  for (const e of events) {
+    add(e.event_time, 'event', {
+      event_type: e.event_type,
+      received_at: e.received_at,
+      duplicate: e.duplicate,
+      insert_id: e.insert_id,
+      properties: e.properties
+    });
+  }
+
+  for (const j of journeys) {
+    const journey = { journey_id: j.id, rule_id: j.rule_id ?? null };
+    add(j.event_time, 'journey_started', { ...journey, trigger_event: j.event_type, check_at: j.check_at });
+    if (j.checked) {
+      add(j.checked_at || j.check_at, 'journey_checked', { ...journey, outcome: j.outcome, follow_up_event: j.follow_up ?? null });
+    }
+    add(j.corrected_at, 'journey_corrected', { ...journey, follow_up_event: j.follow_up ?? null });
+  }
+
+  for (const x of experiments) {
+    const experiment = { experiment_id: x.id, cohort: x.cohort };
+    add(x.created_at, 'experiment_created', {
+      ...experiment,
+      arm: x.arm,
+      sequence_id: x.sequence_id ?? null,
+      step: x.step ?? null,
+      combo: x.arm === 'control'
+        ? null
+        : { timing: x.timing, channel: x.channel, lever: x.lever, offer: x.offer, tone: x.tone, locale: x.locale },
+      template_id: x.template_id ?? null,
+      template_version: x.template_version ?? null,
+      message: x.message
+    });
+
+    const sent = messages.filter(m => m.experiment_id === x.id);
+    for (const m of sent) {
+      const message = { ...experiment, message_id: m.id, channel: x.channel };
+      add(x.created_at, 'message_scheduled', { ...message, send_at: m.send_at, status: m.status });
+      add(m.cancelled_at, 'message_cancelled', { ...message, reason: m.cancel_reason });
+      add(m.failed_at, 'message_failed', { ...message, attempts: m.attempts, error: m.last_error });
+    }
+
+    add(x.sent_at, 'message_sent', {
+      ...experiment,
+      channel: x.channel,
+      provider: sent[0]?.provider ?? null,
+      attempts: sent[0]?.attempts ?? null
+    });
+    for (const status of ['delivered', 'opened', 'clicked']) {
+      add(x[`${status}_at`], `message_${status}`, { ...experiment, channel: x.channel });
+    }
+    add(x.converted_at, 'converted', {
+      ...experiment,
+      arm: x.arm,
+      conversion_id: x.conversion_id ?? null,
+      credit: x.attribution_credit ?? null,
+      revenue: x.revenue ?? null
+    });
+  }
+
+  for (const s of sequences) {
+    add(s.ended_at, 'sequence_ended', {
+      sequence_id: s.id,
+      cohort: s.cohort,
+      status: s.status,
+      reason: s.end_reason,
+      step: s.current_step
+    });
+  }
+
+  for (const c of consents) {
+    for (const change of c.history || []) {
+      add(change.at, 'consent_changed', { channel: c.channel, status: change.status, source: change.source });
+    }
+  }
+
+  // Blocked, moved to a fallback channel or deferred to a send window
+  for (const s of suppressions) {
+    add(s.at, 'suppressed', {
+      experiment_id: s.experiment_id,
+      cohort: s.cohort,
+      channel: s.channel,
+      action: s.action,
+      reason: s.reason,
+      fallback_to: s.fallback_to ?? null,
+      send_at: s.send_at ?? null
+    });
+  }
+
+  // Array sort is stable, so same-instant entries keep the order above
+  return entries.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+}
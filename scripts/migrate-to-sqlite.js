@@ -0,0 +1,46 @@
+/**
+ * Imports a lowdb db.json into the SQLite store.
+ *
+ *   npm run migrate:sqlite -- [db.json] [engine.sqlite]
+ *
+ * Collection rows are upserted by key and every other top-level key is
+ * copied as a document, so re-running against the same file is safe.
+ * Start the server with STORAGE_DRIVER=sqlite afterwards.
+ */
+
+import { readFile } from 'fs/promises';
+import { createStore, COLLECTIONS, COLLECTION_NAMES, migrateLegacyRows } from '../lib/storage/index.js';
+
+const [source = 'db.json', target = process.env.SQLITE_PATH || 'engine.sqlite'] = process.argv.slice(2);
+
+const json = JSON.parse(await readFile(source, 'utf8'));
+const store = await createStore({ driver: 'sqlite', path: target });
+
+const skipped = {};
+store.transaction(() => {
+  for (const name of COLLECTION_NAMES) {
+    const { key } = COLLECTIONS[name];
+    migrateLegacyRows(name, json[name] || []);
+    for (const row of json[name] || []) {
+      if (row[key] === undefined || row[key] === null) {
+        skipped[name] = (skipped[name] || 0) + 1;
+        continue;
+      }
+      store[name].save(row);
+    }
+  }
+});
+
+for (const [key, value] of Object.entries(json)) {
+  if (!COLLECTIONS[key]) store.data[key] = value;
+}
+await store.write();
+
+console.log(`[MIGRATE] ${source} → ${target}`);
+for (const name of COLLECTION_NAMES) {
+  const note = skipped[name] ? ` (${skipped[name]} without ${COLLECTIONS[name].key} skipped)` : '';
+  console.log(`  ${name}: ${(json[name] || []).length} in file, ${store[name].count()} in SQLite${note}`);
+}
+console.log(`  documents: ${Object.keys(json).filter(key => !COLLECTIONS[key]).join(', ')}`);
+
+store.close();
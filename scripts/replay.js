@@ -0,0 +1,65 @@
+/**
+ * Replays Amplitude exports through the engine in simulated time.
+ *
+ *   npm run replay -- export.jsonl [more.jsonl.gz ...] [--out replay.json] [--verbose]
+ *
+ * Files are JSON lines, one Amplitude event per line, optionally gzipped.
+ * Events run in timestamp order against a separate store (lowdb for .json,
+ * SQLite otherwise); nothing is sent. Copy the live db.json / SQLite file
+ * to --out first to replay with its rules, templates and config, then
+ * point the server at the result.
+ *
+ * Combo stats pair the engine's own choices with the conversions in the
+ * export, which happened under whatever was actually sent at the time.
+ */
+
+import { createReadStream } from 'fs';
+import { createGunzip } from 'zlib';
+import { createInterface } from 'readline';
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const outIndex = args.indexOf('--out');
+const out = outIndex === -1 ? 'replay.json' : args[outIndex + 1];
+const files = args.filter((arg, i) => !arg.startsWith('--') && (outIndex === -1 || i !== outIndex + 1));
+
+if (files.length === 0 || !out) {
+  console.error('usage: npm run replay -- <export.jsonl[.gz]> [...] [--out replay.json] [--verbose]');
+  process.exit(1);
+}
+
+async function readEvents(paths) {
+  const events = [];
+  const malformed = [];
+  for (const path of paths) {
+    let input = createReadStream(path);
+    if (path.endsWith('.gz')) input = input.pipe(createGunzip());
+
+    let line = 0;
+    for await (const text of createInterface({ input, crlfDelay: Infinity })) {
+      line++;
+      if (text.trim() === '') continue;
+      try {
+        events.push(JSON.parse(text));
+      } catch {
+        malformed.push(`${path}:${line}`);
+      }
+    }
+  }
+  return { events, malformed };
+}
+
+// The engine logs every event; keep the output to the summary
+const log = console.log;
+if (!verbose) console.log = () => {};
+
+process.env.REPLAY_STORE = out;
+process.env.STORAGE_DRIVER = out.endsWith('.json') ? 'lowdb' : 'sqlite';
+const { replayEvents } = await import('../server.js');
+
+const { events, malformed } = await readEvents(files);
+const summary = await replayEvents(events);
+
+log(`[REPLAY] ${files.join(', ')} → ${out}`);
+log(JSON.stringify({ ...summary, malformed_lines: malformed.length, malformed: malformed.slice(0, 100) }, null, 2));
+process.exit(0);
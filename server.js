@@ -1,7 +1,8 @@
 /**
  * Stage Experiment Engine - Backend Server
  *
- * UPDATED: Now uses lowdb (JSON file storage) - no native compilation needed!
+ * Storage: lowdb (db.json) for local development, SQLite in production
+ * (STORAGE_DRIVER, see lib/storage).
  *
  * Logic:
  * - User does trial_paywall_view → Start 30-min timer
@@ -12,47 +13,198 @@
 
 import 'dotenv/config';
 import express from 'express';
-import axios from 'axios';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
-import cron from 'node-cron';
 import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
+import { hostname } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { chooseArm, summarizeArm, defaultBanditConfig, validateBanditConfig } from './lib/bandit.js';
+import {
+  wilsonInterval, credibleInterval, twoProportionTest, probabilityToBeat,
+  sampleSizePerArm, minimumDetectableEffect
+} from './lib/significance.js';
+import {
+  defaultRules, normalizeRule, validateRule, matchRule, matchesFilters,
+  referencedEvents, EVENT_FIELDS, defaultSuppressionRules, validateSuppressionRules
+} from './lib/rules.js';
+import { validateSequence, normalizeSteps } from './lib/sequences.js';
+import { createProviderRegistry } from './lib/providers/index.js';
+import { createStore, statsKey } from './lib/storage/index.js';
+import { defaultPolicy, validatePolicy, applyQuietHours, capExceeded, cohortPriority } from './lib/policy.js';
+import {
+  CONSENT_STATUSES, CONSENT_HISTORY, CONSENT_MAX_BATCH, defaultConsentConfig, validateConsentConfig, validateConsentUpdate,
+  channelPermission, resolveChannel, windowAsQuietHours, consentFromEvent, summarizeSuppressions
+} from './lib/consent.js';
+import { isValidTimeZone, formatLocal } from './lib/timezone.js';
+import { LOCALES, DEFAULT_LOCALE, normalizeLocale, detectLocale, localeChain } from './lib/locales.js';
+import { defaultScheduleConfig, validateScheduleConfig, resolveSendAt } from './lib/schedule.js';
+import {
+  CHANNEL_LIMITS, VARIABLES, defaultTemplates, newTemplate, reviseTemplate, validateTemplate,
+  candidateTemplates, renderTemplate
+} from './lib/templates.js';
+import { DIMENSIONS, PAIRS, pairName, dimensionCells, composeCombo, mainEffects } from './lib/factorial.js';
+import {
+  defaultFeatureConfig, validateFeatureConfig, extractFeatures, featureProperties, contextualArms
+} from './lib/contextual.js';
+import {
+  DEFAULT_MAX_BATCH, DEFAULT_DEDUP_HOURS, DEFAULT_EVENT_LOG_DAYS, DEFAULT_MAX_EVENT_AGE_HOURS, verifyRequest,
+  eventBatch, validateEvent, dedupKey, eventTimestamp
+} from './lib/ingest.js';
+import { createClock } from './lib/clock.js';
+import { createRng, syntheticUsers, trueRate, bestRate, summarizeSimulation } from './lib/simulation.js';
+import {
+  CATALOG_DIMENSIONS, defaultCatalog, defaultCohortIntelligence, frameworksFrom, copyFrom, isRetired,
+  newEntry, reviseEntry, validateEntry, optionProblems, catalogProblems, pauseMatch, validatePause, isPaused
+} from './lib/catalog.js';
+import { TIMELINE_TYPES, buildTimeline } from './lib/timeline.js';
+import {
+  ATTRIBUTION_MODELS, defaultAttributionConfig, validateAttributionConfig, windowHours, inWindow, assignCredit, conversionValue,
+  attributeConversions
+} from './lib/attribution.js';
+import { createLiveFeed, formatEvent, LIVE_TYPES } from './lib/live.js';
+import { createJobRunner, defaultJobConfig, validateJobConfig } from './lib/jobs.js';
+import { cohortFunnels, dailySeries, comboHeatmap, DEFAULT_HEATMAPS, HEATMAP_DIMENSIONS } from './lib/dashboard.js';
+import { createLogger } from './lib/log.js';
+import { createRegistry, METRICS_CONTENT_TYPE } from './lib/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
-app.use(express.json());
+
+// Express 4 leaves a rejected promise from an async handler unhandled;
+// pass it on to the error handler after the routes instead
+for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+  const register = app[method].bind(app);
+  app[method] = (path, ...handlers) => register(path, ...handlers.map(handler =>
+    (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next)
+  ));
+}
+
+// ============================================
+// LOGGING & METRICS (lib/log.js, lib/metrics.js)
+// ============================================
+const log = createLogger({ format: process.env.LOG_FORMAT || 'json', level: process.env.LOG_LEVEL || 'info' });
+
+// Counted as things happen; store-backed gauges are added next to /metrics
+const metrics = createRegistry();
+const telemetry = {
+  events: metrics.counter('engine_events_received_total',
+    'Events and callbacks received, by source, type and outcome', ['source', 'event_type', 'outcome']),
+  journeys: metrics.counter('engine_journeys_total',
+    'Journeys by outcome: scheduled, ok, corrected, abandoned, skipped', ['cohort', 'outcome']),
+  experiments: metrics.counter('engine_experiments_created_total', 'Experiments created', ['cohort', 'arm']),
+  sends: metrics.counter('engine_sends_total',
+    'Scheduled messages by outcome: sent, retry, dead_letter, capped, deferred, cancelled', ['channel', 'outcome']),
+  conversions: metrics.counter('engine_conversions_total', 'Converted experiments', ['cohort', 'arm']),
+  staleEvents: metrics.counter('engine_events_stale_total',
+    'Accepted events older than the max event age, which start no journey or experiment', ['event_type']),
+  providerLatency: metrics.histogram('engine_provider_request_duration_seconds',
+    'Provider send calls', ['provider', 'channel', 'outcome']),
+  httpRequests: metrics.histogram('engine_http_request_duration_seconds',
+    'HTTP requests, by route and status', ['method', 'route', 'status'])
+};
+
+// Every request gets an id (the caller's X-Request-Id, if any), returned
+// in the response and added to every line logged while handling it
+app.use((req, res, next) => {
+  req.id = (req.get('X-Request-Id') || '').slice(0, 128) || uuidv4();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    telemetry.httpRequests.observe(
+      { method: req.method, route, status: res.statusCode },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  });
+
+  log.withContext({ request_id: req.id }, next);
+});
+
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  limit: process.env.MAX_BODY_SIZE || '5mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Serve static files (landing page)
 app.use(express.static(join(__dirname, 'public')));
 
 // ============================================
-// DATABASE SETUP (lowdb - JSON file)
+// DATABASE SETUP (lib/storage - lowdb or SQLite)
 // ============================================
-const dbPath = process.env.NODE_ENV === 'production'
-  ? '/app/data/db.json'
-  : join(__dirname, 'db.json');
+// REPLAY_STORE is set by scripts/replay.js and scripts/simulate.js: the
+// engine then runs against that store with no HTTP server, job runner or
+// demo data (see REPLAY below)
+const replayMode = Boolean(process.env.REPLAY_STORE);
+const storageDriver = process.env.STORAGE_DRIVER || 'lowdb';
+const dataDir = process.env.NODE_ENV === 'production' ? '/app/data' : __dirname;
+const dbPath = replayMode
+  ? process.env.REPLAY_STORE
+  : storageDriver === 'sqlite'
+    ? process.env.SQLITE_PATH || join(dataDir, 'engine.sqlite')
+    : join(dataDir, 'db.json');
 
+const clock = createClock();
+
+// experiments, combo_stats, scheduled_messages, user_journey,
+// ingested_events, event_log, audit_log, job_leases, conversions,
+// consents, suppressions, user_events, user_profiles, arm_stats,
+// dimension_stats, context_stats and sequences are store collections;
+// everything below lives in db.data
 const defaultData = {
-  experiments: [],
-  combo_stats: [],
-  scheduled_messages: [],
-  user_journey: []
+  event_rules: structuredClone(defaultRules),
+  suppression_rules: structuredClone(defaultSuppressionRules),
+  bandit_config: { cohorts: {} },
+  holdout_config: { cohorts: {} },
+  attribution_config: {},
+  feature_config: structuredClone(defaultFeatureConfig),
+  sequence_config: { cohorts: {} },
+  delivery_policy: structuredClone(defaultPolicy),
+  consent_config: structuredClone(defaultConsentConfig),
+  schedule_config: structuredClone(defaultScheduleConfig),
+  templates: defaultTemplates(),
+  catalog: defaultCatalog(),
+  cohort_intelligence: structuredClone(defaultCohortIntelligence),
+  paused_arms: []
 };
 
-const adapter = new JSONFile(dbPath);
-const db = new Low(adapter, defaultData);
+const db = await createStore({ driver: storageDriver, path: dbPath, defaults: defaultData });
+
+// Library copy added after a db was created (e.g. new locales)
+for (const template of defaultData.templates) {
+  if (!db.data.templates.some(t => t.id === template.id)) db.data.templates.push(template);
+}
+for (const template of db.data.templates) {
+  template.locale ??= 'english';
+}
+
+// Replicas sharing a SQLite file each hold the documents in db.data; the
+// ones another replica wrote are reloaded before every request and job
+// batch
+function syncStore() {
+  if (db.refresh().includes('catalog')) refreshCatalog();
+}
 
-// Initialize database
-await db.read();
-db.data ||= defaultData;
+// A change runs under the store's write lock up to its first await: a
+// config edit reads, changes and writes its document in that stretch, so
+// replicas cannot overwrite each other's edits
+app.use((req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    syncStore();
+    return next();
+  }
+  db.transaction(() => {
+    syncStore();
+    next();
+  });
+});
 
 // Seed demo data if empty
-if (db.data.experiments.length === 0) {
-  console.log('[DB] Seeding demo data...');
+if (!replayMode && db.experiments.count() === 0) {
+  log.info('DB', 'Seeding demo data...');
 
   const cohorts = ['checkout_abandoners', 'payment_failed', 'paywall_bouncers'];
   const timings = ['2min', '5min', '30min', '1hr', '2hr'];
@@ -83,7 +235,7 @@ if (db.data.experiments.length === 0) {
     const now = new Date();
     const createdAt = new Date(now - Math.random() * 7 * 24 * 60 * 60 * 1000);
 
-    db.data.experiments.push({
+    db.experiments.insert({
       id: uuidv4(),
       user_id: `user_${city}_${Math.floor(Math.random() * 9000) + 1000}`,
       cohort: cohorts[Math.floor(Math.random() * cohorts.length)],
@@ -112,7 +264,7 @@ if (db.data.experiments.length === 0) {
   ];
 
   combos.forEach(c => {
-    db.data.combo_stats.push({
+    db.combo_stats.insert({
       combo_key: `${c.timing}|${c.channel}|${c.lever}|${c.offer}`,
       timing: c.timing,
       channel: c.channel,
@@ -124,535 +276,3849 @@ if (db.data.experiments.length === 0) {
     });
   });
 
-  console.log('[DB] Seeded 50 experiments and 6 combo stats');
+  log.info('DB', 'Seeded 50 experiments and 6 combo stats');
 }
 
 await db.write();
 
-console.log(`[DB] Using lowdb at ${dbPath}`);
+log.info('DB', `Using ${db.driver} at ${db.location}`, { driver: db.driver, location: db.location });
 
 // ============================================
-// EVENT DETECTION CONFIG
+// EVENT DETECTION RULES
 // ============================================
-const eventConfig = {
-  trial_paywall_view: {
-    waitForEvent: 'trial_initiated',
-    timeout: 30 * 60 * 1000, // 30 minutes
-    cohortIfMissing: 'paywall_bouncers',
-    minViews: 1
-  },
-  trial_initiated: {
-    waitForEvent: 'trial_activated',
-    timeout: 10 * 60 * 1000, // 10 minutes
-    cohortIfMissing: 'checkout_abandoners'
-  },
-  payment_failed: {
-    immediate: true,
-    cohort: 'payment_failed'
-  }
-};
+// Rules live in db.data.event_rules (seeded from lib/rules.js defaults)
+// and are edited through /api/rules; every event reads them fresh, so
+// changes apply without a restart.
+function getRules() {
+  return db.data.event_rules;
+}
 
-// ============================================
-// FRAMEWORK CONFIGURATION
-// ============================================
-const frameworks = {
-  timing: {
-    options: ['2min', '5min', '30min', '1hr', '2hr', '4hr', 'next_morning', 'next_evening', 'payday'],
-    delays: {
-      '2min': 2 * 60 * 1000,
-      '5min': 5 * 60 * 1000,
-      '30min': 30 * 60 * 1000,
-      '1hr': 60 * 60 * 1000,
-      '2hr': 2 * 60 * 60 * 1000,
-      '4hr': 4 * 60 * 60 * 1000,
-      'next_morning': null,
-      'next_evening': null,
-      'payday': null
-    }
-  },
-  channel: ['push', 'whatsapp', 'sms'],
-  lever: ['scarcity', 'fomo', 'social_proof', 'free_value', 'reciprocity', 'cliffhanger', 'personalization'],
-  offer: ['free_episode', 'discount_50', 'rupee_1_trial', 'paytm_cashback', 'no_offer'],
-  tone: ['urgent', 'friendly', 'curious', 'personal', 'regional']
-};
+// Journeys recorded before rules existed carry no rule_id
+function ruleForJourney(journey) {
+  if (journey.rule_id) return getRules().find(r => r.id === journey.rule_id) || null;
+  return getRules().find(r => r.trigger_event === journey.event_type && r.wait_for.length > 0) || null;
+}
 
-const cohortIntelligence = {
-  checkout_abandoners: {
-    timing: ['2min', '1hr', '2hr'],
-    channel: ['whatsapp', 'push'],
-    lever: ['scarcity', 'fomo', 'loss_aversion'],
-    offer: ['discount_50', 'rupee_1_trial', 'free_episode'],
-    tone: ['urgent', 'curious']
-  },
-  payment_failed: {
-    timing: ['2min', '5min', '30min'],
-    channel: ['whatsapp', 'sms'],
-    lever: ['reciprocity', 'personalization', 'free_value'],
-    offer: ['rupee_1_trial', 'paytm_cashback'],
-    tone: ['friendly', 'personal']
-  },
-  paywall_bouncers: {
-    timing: ['1hr', '2hr', 'next_evening'],
-    channel: ['push', 'whatsapp'],
-    lever: ['free_value', 'social_proof', 'cliffhanger'],
-    offer: ['free_episode', 'extended_preview'],
-    tone: ['curious', 'friendly']
-  }
-};
+// The window ends at the event's own time, so a late event is counted
+// against the events around it rather than against now
+function countOccurrences(userId, eventTime, rule) {
+  const since = new Date(Date.parse(eventTime) - rule.min_occurrences.window_minutes * 60 * 1000).toISOString();
+  // The current event is recorded before matching, so it is included
+  return db.user_events.find({
+    user_id: userId,
+    event_type: rule.trigger_event,
+    event_time: { gte: since, lte: eventTime }
+  }).filter(e => matchesFilters({ event_type: e.event_type, ...e.data }, rule.filters)).length;
+}
 
-const messageTemplates = {
-  scarcity: ["Only {hours} hours left!", "Offer expires soon", "Limited time only"],
-  fomo: ["{count} people watching right now", "Trending in {region}", "Everyone's talking about this"],
-  social_proof: ["Rated 4.8 by 10K viewers", "Join 1 lakh+ subscribers", "Top rated in {region}"],
-  free_value: ["FREE episode waiting", "On us - no strings attached", "Your free gift inside"],
-  reciprocity: ["We saved your spot", "Your show is waiting", "We kept it ready for you"],
-  cliffhanger: ["Did she find out the truth?", "You won't believe what happens next", "The twist is coming"],
-  personalization: ["Picked just for you, {name}", "Based on what you love", "Your personalized pick"]
-};
+// First of the journey's wait_for events that happened after the trigger
+// and no later than its deadline, whatever order they arrived in
+function findFollowUp(journey, rule) {
+  return db.user_events.findOne({
+    user_id: journey.user_id,
+    event_type: rule.wait_for,
+    event_time: { gt: journey.event_time, lte: journey.check_at }
+  }, { orderBy: ['event_time', 'asc'] });
+}
 
-const offerMessages = {
-  free_episode: "Watch Episode 1 FREE",
-  discount_50: "50% OFF today only",
-  rupee_1_trial: "Just ₹1 to start",
-  paytm_cashback: "Get ₹50 Paytm cashback",
-  no_offer: "Continue your journey"
-};
+// Keep the event log no longer than the longest window / timeout needs
+function userEventRetentionMs() {
+  const longest = getRules().reduce((max, r) => Math.max(
+    max,
+    r.timeout_minutes,
+    r.min_occurrences ? r.min_occurrences.window_minutes : 0
+  ), 24 * 60);
+  return 2 * longest * 60 * 1000;
+}
+
+function pruneUserEvents() {
+  const cutoff = new Date(clock.ms() - userEventRetentionMs()).toISOString();
+  db.user_events.remove({ event_time: { lt: cutoff } });
+}
+
+// An event older than MAX_EVENT_AGE_HOURS (never more than the events
+// above are kept for) still resolves journeys and conversions, but starts
+// nothing: its timeout has likely passed, so a journey would be judged
+// abandoned on arrival. Replays run at each event's own time.
+const maxEventAgeMs = (parseFloat(process.env.MAX_EVENT_AGE_HOURS) || DEFAULT_MAX_EVENT_AGE_HOURS) * 60 * 60 * 1000;
+
+function isStaleEvent(eventTime) {
+  if (replayMode) return false;
+  return clock.ms() - Date.parse(eventTime) > Math.min(maxEventAgeMs, userEventRetentionMs());
+}
 
 // ============================================
-// AMPLITUDE WEBHOOK - Process Events
+// LIVE FEED (lib/live.js)
 // ============================================
-app.post('/webhook/amplitude', async (req, res) => {
-  const events = req.body.events || [req.body];
-  let processed = 0;
+// Received events, new experiments, sends and conversions, streamed to
+// the dashboard over GET /api/live
+const live = createLiveFeed();
 
-  for (const event of events) {
-    const eventType = event.event_type;
-    const userId = event.user_id || event.device_id;
-    const properties = event.event_properties || {};
+// ============================================
+// WEBHOOK INGESTION (lib/ingest.js)
+// ============================================
+const webhookMaxBatch = parseInt(process.env.WEBHOOK_MAX_BATCH) || DEFAULT_MAX_BATCH;
+const dedupWindowMs = (parseFloat(process.env.AMPLITUDE_DEDUP_HOURS) || DEFAULT_DEDUP_HOURS) * 60 * 60 * 1000;
 
-    if (!userId) continue;
+function dedupCutoff() {
+  return new Date(clock.ms() - dedupWindowMs).toISOString();
+}
 
-    console.log(`[EVENT] ${eventType} from user ${userId}`);
+// True if this insert_id was already ingested within the window;
+// otherwise remembers it
+function isDuplicateEvent(event) {
+  const key = dedupKey(event);
+  if (!key) return false;
 
-    // Check if this is a conversion event
-    await checkForConversion(userId, eventType);
+  const seen = db.ingested_events.get(key);
+  if (seen && seen.seen_at >= dedupCutoff()) return true;
 
-    // Check event config
-    const config = eventConfig[eventType];
-    if (!config) continue;
+  db.ingested_events.save({ id: key, seen_at: clock.iso(), event_type: event.event_type });
+  return false;
+}
 
-    if (config.immediate) {
-      await createExperiment(userId, config.cohort, properties);
-      console.log(`[IMMEDIATE] Created experiment for ${userId} (${config.cohort})`);
-    } else if (config.waitForEvent) {
-      const checkAt = new Date(Date.now() + config.timeout).toISOString();
+function pruneIngestedEvents() {
+  db.ingested_events.remove({ seen_at: { lt: dedupCutoff() } });
+}
 
-      db.data.user_journey.push({
-        id: uuidv4(),
-        user_id: userId,
-        event_type: eventType,
-        event_time: new Date().toISOString(),
-        properties: JSON.stringify(properties),
-        check_at: checkAt,
-        checked: false
-      });
-      await db.write();
+// Every valid event, duplicates included, kept EVENT_LOG_DAYS for
+// /api/users/:id/timeline
+const eventLogMs = (parseFloat(process.env.EVENT_LOG_DAYS) || DEFAULT_EVENT_LOG_DAYS) * 24 * 60 * 60 * 1000;
 
-      console.log(`[SCHEDULED] Will check ${userId} for ${config.waitForEvent} at ${checkAt}`);
-    }
+function logEvent(event, eventTime, duplicate) {
+  const entry = {
+    id: uuidv4(),
+    user_id: String(event.user_id || event.device_id),
+    event_type: event.event_type,
+    event_time: eventTime,
+    received_at: clock.iso(),
+    insert_id: dedupKey(event),
+    duplicate,
+    properties: event.event_properties || {}
+  };
+  db.event_log.insert(entry);
+  live.publish('event', {
+    user_id: entry.user_id,
+    event_type: entry.event_type,
+    event_time: eventTime,
+    received_at: entry.received_at,
+    duplicate
+  });
+}
 
-    processed++;
-  }
+function pruneEventLog() {
+  db.event_log.remove({ received_at: { lt: new Date(clock.ms() - eventLogMs).toISOString() } });
+}
 
-  res.json({ processed });
-});
+// ============================================
+// FRAMEWORK CONFIGURATION
+// ============================================
+// The catalog (lib/catalog.js) lives in db.data.catalog and each cohort's
+// share of it in db.data.cohort_intelligence, both edited through
+// /api/catalog and /api/cohorts. `frameworks` and the offer / tone copy
+// are derived from it and rebuilt after every change.
+let frameworks = frameworksFrom(db.data.catalog);
+let catalogCopy = copyFrom(db.data.catalog);
 
-// Check if user completed the expected next step
-async function checkForConversion(userId, eventType) {
-  if (eventType === 'trial_initiated') {
-    db.data.user_journey
-      .filter(j => j.user_id === userId && j.event_type === 'trial_paywall_view' && !j.checked)
-      .forEach(j => j.checked = true);
-    await db.write();
-  }
+function refreshCatalog() {
+  frameworks = frameworksFrom(db.data.catalog);
+  catalogCopy = copyFrom(db.data.catalog);
+}
 
-  if (eventType === 'trial_activated') {
-    db.data.user_journey
-      .filter(j => j.user_id === userId && j.event_type === 'trial_initiated' && !j.checked)
-      .forEach(j => j.checked = true);
+function getCohortIntelligence() {
+  return db.data.cohort_intelligence;
+}
 
-    // Find recent experiment and mark as converted
-    const experiment = db.data.experiments
-      .filter(e => e.user_id === userId && ['sent', 'opened'].includes(e.status))
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+function cohortNames() {
+  return Object.keys(getCohortIntelligence());
+}
 
-    if (experiment) {
-      experiment.converted_at = new Date().toISOString();
-      experiment.status = 'converted';
+function isActiveValue(dimension, value) {
+  return (dimension === 'timing' ? frameworks.timing.options : frameworks[dimension]).includes(value);
+}
 
-      const comboKey = `${experiment.timing}|${experiment.channel}|${experiment.lever}|${experiment.offer}`;
-      updateComboStats(comboKey, experiment, true);
+// ============================================
+// AUDIT LOG
+// ============================================
+// Every config change is recorded with the caller's X-Actor header (or
+// 'anonymous'), the target and its value before and after.
+function actorOf(req) {
+  return req.get('X-Actor') || 'anonymous';
+}
 
-      console.log(`[CONVERTED] User ${userId} converted! Experiment ${experiment.id}`);
-    }
-    await db.write();
-  }
+function audit(req, action, target, before, after) {
+  db.audit_log.insert({
+    id: uuidv4(),
+    at: clock.iso(),
+    actor: actorOf(req),
+    action,
+    target,
+    before: structuredClone(before ?? null),
+    after: structuredClone(after ?? null)
+  });
 }
 
 // ============================================
-// CRON: Check for Abandonment
+// BANDIT CONFIGURATION
 // ============================================
-cron.schedule('* * * * *', async () => {
-  const now = new Date().toISOString();
+// Env sets the global default; PUT /api/bandit/config stores global and
+// per-cohort overrides in the db so they survive restarts.
+const envBanditConfig = {
+  ...defaultBanditConfig,
+  ...(process.env.BANDIT_STRATEGY && { strategy: process.env.BANDIT_STRATEGY }),
+  ...(process.env.BANDIT_MODE && { mode: process.env.BANDIT_MODE }),
+  ...(process.env.BANDIT_PRIOR_ALPHA && { prior_alpha: parseFloat(process.env.BANDIT_PRIOR_ALPHA) }),
+  ...(process.env.BANDIT_PRIOR_BETA && { prior_beta: parseFloat(process.env.BANDIT_PRIOR_BETA) }),
+  ...(process.env.BANDIT_EPSILON && { epsilon: parseFloat(process.env.BANDIT_EPSILON) })
+};
 
-  const pendingChecks = db.data.user_journey.filter(
-    j => j.check_at <= now && !j.checked
-  ).slice(0, 100);
+const envBanditErrors = validateBanditConfig(envBanditConfig);
+if (envBanditErrors.length > 0) {
+  throw new Error(`Invalid bandit config in env: ${envBanditErrors.join('; ')}`);
+}
 
-  for (const journey of pendingChecks) {
-    const config = eventConfig[journey.event_type];
-    if (!config || !config.waitForEvent) continue;
+function getBanditConfig(cohort) {
+  const { cohorts = {}, ...global } = db.data.bandit_config;
+  return { ...envBanditConfig, ...global, ...(cohorts[cohort] || {}) };
+}
 
-    // Check if user did the expected follow-up event
-    const followUp = db.data.user_journey.find(
-      j => j.user_id === journey.user_id &&
-           j.event_type === config.waitForEvent &&
-           j.event_time > journey.event_time
-    );
+// ============================================
+// HOLDOUT CONFIGURATION
+// ============================================
+// Percentage (0-100) of each cohort's users kept in a control arm that is
+// never messaged. HOLDOUT_PERCENT is the default, PUT /api/holdout/config
+// stores global and per-cohort overrides.
+const envHoldoutPercent = parseFloat(process.env.HOLDOUT_PERCENT || '0');
 
-    if (!followUp) {
-      console.log(`[ABANDONED] User ${journey.user_id} didn't do ${config.waitForEvent} → ${config.cohortIfMissing}`);
-      const properties = JSON.parse(journey.properties || '{}');
-      await createExperiment(journey.user_id, config.cohortIfMissing, properties);
-    } else {
-      console.log(`[OK] User ${journey.user_id} did ${config.waitForEvent}`);
-    }
+if (!(envHoldoutPercent >= 0 && envHoldoutPercent <= 100)) {
+  throw new Error('Invalid HOLDOUT_PERCENT in env: must be between 0 and 100');
+}
 
-    journey.checked = true;
-  }
+function getHoldoutPercent(cohort) {
+  const { cohorts = {}, percent } = db.data.holdout_config;
+  return cohorts[cohort] ?? percent ?? envHoldoutPercent;
+}
 
-  await db.write();
-});
+// Hash-based so a user re-entering a cohort stays in the same arm
+function isHeldOut(userId, cohort) {
+  const percent = getHoldoutPercent(cohort);
+  if (percent <= 0) return false;
+
+  const hash = createHash('sha1').update(`${cohort}:${userId}`).digest();
+  const bucket = hash.readUInt32BE(0) % 10000;
+  return bucket < percent * 100;
+}
 
 // ============================================
-// SMART COMBO SELECTION
+// ATTRIBUTION CONFIGURATION
 // ============================================
-function selectCombo(cohort, userAttributes = {}) {
-  const intelligence = cohortIntelligence[cohort] || cohortIntelligence.checkout_abandoners;
+// Which sends a conversion credits and how (lib/attribution.js).
+// ATTRIBUTION_MODEL / ATTRIBUTION_WINDOW_HOURS set the default,
+// PUT /api/attribution/config stores the rest.
+const envAttributionConfig = {
+  ...defaultAttributionConfig,
+  ...(process.env.ATTRIBUTION_MODEL && { model: process.env.ATTRIBUTION_MODEL }),
+  ...(process.env.ATTRIBUTION_WINDOW_HOURS && { window_hours: parseFloat(process.env.ATTRIBUTION_WINDOW_HOURS) })
+};
 
-  const stats = db.data.combo_stats
-    .filter(s => s.sent_count >= 5)
-    .map(s => ({
-      ...s,
-      cvr: s.sent_count > 0 ? s.converted_count / s.sent_count : 0
-    }))
-    .sort((a, b) => b.cvr - a.cvr);
+const envAttributionErrors = validateAttributionConfig(envAttributionConfig, { cohorts: [], channels: [] });
+if (envAttributionErrors.length > 0) {
+  throw new Error(`Invalid attribution config in env: ${envAttributionErrors.join('; ')}`);
+}
 
-  const explore = Math.random() < 0.2;
-  let combo;
-
-  if (!explore && stats.length > 0) {
-    const topCombos = stats.slice(0, 5);
-    const selected = topCombos[Math.floor(Math.random() * topCombos.length)];
-    combo = {
-      timing: selected.timing,
-      channel: selected.channel,
-      lever: selected.lever,
-      offer: selected.offer
-    };
-  } else {
-    combo = {
-      timing: randomFrom(intelligence.timing),
-      channel: randomFrom(intelligence.channel),
-      lever: randomFrom(intelligence.lever),
-      offer: randomFrom(intelligence.offer)
-    };
+function getAttributionConfig() {
+  return { ...envAttributionConfig, ...db.data.attribution_config };
+}
+
+// ============================================
+// CONTEXT FEATURES
+// ============================================
+// What contextual mode conditions on (lib/contextual.js), edited through
+// /api/features. Experiments record their user's features in every mode,
+// so segments can be compared before switching a cohort over.
+function getFeatureConfig() {
+  return db.data.feature_config;
+}
+
+// The trigger's properties win over the ones remembered for the user
+function userFeatures(userId, userAttributes = {}) {
+  const config = getFeatureConfig();
+  const profile = db.user_profiles.get(userId);
+
+  const counts = {};
+  for (const [name, feature] of Object.entries(config.features)) {
+    if (feature.type !== 'count') continue;
+    const since = new Date(clock.ms() - feature.window_hours * 60 * 60 * 1000).toISOString();
+    counts[name] = db.event_log.find({ user_id: userId, event_time: { gte: since } })
+      .filter(e => e.event_type === feature.event_type && !e.duplicate).length;
   }
 
-  combo.tone = randomFrom(intelligence.tone || ['friendly']);
-  return combo;
+  return extractFeatures(config, { ...profile?.attributes, ...userAttributes }, counts);
 }
 
-function randomFrom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+// ============================================
+// SEQUENCE CONFIGURATION
+// ============================================
+// Per-cohort follow-up cadences, managed through /api/sequences.
+// Cohorts without one get a single message, as before.
+function getSequenceSteps(cohort) {
+  const sequence = db.data.sequence_config.cohorts[cohort];
+  return sequence && sequence.enabled !== false ? sequence.steps : null;
 }
 
 // ============================================
-// MESSAGE GENERATION
+// DELIVERY POLICY
 // ============================================
-function generateMessage(combo, userAttributes = {}) {
-  const leverTemplates = messageTemplates[combo.lever] || ["Check out Stage"];
-  const offerMsg = offerMessages[combo.offer] || "Start watching";
-
-  let template = randomFrom(leverTemplates);
-  template = template
-    .replace('{name}', userAttributes.name || 'there')
-    .replace('{region}', userAttributes.region || 'your city')
-    .replace('{count}', Math.floor(Math.random() * 5000) + 1000)
-    .replace('{hours}', Math.floor(Math.random() * 4) + 2);
-
-  let message;
-  if (combo.tone === 'urgent') {
-    message = `⏰ ${template}! ${offerMsg} - hurry!`;
-  } else if (combo.tone === 'friendly') {
-    message = `Hey! 👋 ${template}. ${offerMsg}`;
-  } else if (combo.tone === 'curious') {
-    message = `🤔 ${template}... ${offerMsg}`;
-  } else if (combo.tone === 'regional') {
-    message = `🎬 Apne liye kuch khaas! ${offerMsg}`;
-  } else {
-    message = `${template}. ${offerMsg}`;
+// Frequency caps, quiet hours and cohort priority (lib/policy.js), edited
+// through /api/delivery-policy.
+function getPolicy() {
+  return db.data.delivery_policy;
+}
+
+function timeZoneAttribute(attributes = {}) {
+  const candidate = attributes.timezone || attributes.time_zone || attributes.tz;
+  return isValidTimeZone(candidate) ? candidate : null;
+}
+
+// Event properties win, then the last zone seen for the user, then the default
+function resolveTimeZone(userId, userAttributes = {}) {
+  const fromEvent = timeZoneAttribute(userAttributes);
+  if (fromEvent) return { timeZone: fromEvent, source: 'event' };
+
+  const profile = db.user_profiles.get(userId);
+  if (profile?.timezone) return { timeZone: profile.timezone, source: 'profile' };
+
+  return { timeZone: getPolicy().default_timezone, source: 'default' };
+}
+
+function userTimeZone(userId, userAttributes) {
+  return resolveTimeZone(userId, userAttributes).timeZone;
+}
+
+// Same order for locales: language / region on the event, then the
+// profile, then DEFAULT_LOCALE
+const defaultLocale = normalizeLocale(process.env.DEFAULT_LOCALE) || DEFAULT_LOCALE;
+
+function resolveLocale(userId, userAttributes = {}) {
+  const detected = detectLocale(userAttributes, null);
+  if (detected.locale) return detected;
+
+  const profile = db.user_profiles.get(userId);
+  if (profile?.locale) return { locale: profile.locale, source: 'profile' };
+
+  return { locale: defaultLocale, source: 'default' };
+}
+
+// Remember a user's time zone, locale and feature properties from any
+// event that carries them
+function rememberProfile(userId, ...sources) {
+  const timeZone = sources.map(timeZoneAttribute).find(Boolean);
+  const locale = sources.map(source => detectLocale(source, null).locale).find(Boolean);
+  const attributes = {};
+  for (const property of featureProperties(getFeatureConfig())) {
+    const value = sources.map(source => source[property]).find(v => v !== undefined && v !== null && v !== '');
+    if (value !== undefined && typeof value !== 'object') attributes[property] = value;
   }
+  if (!timeZone && !locale && Object.keys(attributes).length === 0) return;
 
-  return message;
+  db.transaction(() => {
+    const profile = db.user_profiles.get(userId) || { user_id: userId };
+    if (timeZone) profile.timezone = timeZone;
+    if (locale) profile.locale = locale;
+    if (Object.keys(attributes).length > 0) profile.attributes = { ...profile.attributes, ...attributes };
+    profile.updated_at = clock.iso();
+    db.user_profiles.save(profile);
+  });
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+// Timing options resolve in the user's time zone (lib/schedule.js); the
+// local clock times and payday calendar are edited through /api/schedule.
+function computeSendAt(timing, timeZone, now = clock.now()) {
+  return resolveSendAt(timing, {
+    now,
+    timeZone,
+    delays: frameworks.timing.delays,
+    config: db.data.schedule_config
+  });
 }
 
 // ============================================
-// CLEVERTAP INTEGRATION
+// AMPLITUDE WEBHOOK - Process Events
 // ============================================
-async function sendViaCleverTap(userId, message, channel, experimentId) {
-  const CLEVERTAP_ACCOUNT_ID = process.env.CLEVERTAP_ACCOUNT_ID;
-  const CLEVERTAP_PASSCODE = process.env.CLEVERTAP_PASSCODE;
+// Body: { events: [...] }, an array, or a single event. Events that fail
+// validation are reported in `rejections` by batch index; events whose
+// insert_id was already seen inside the dedup window count as duplicates.
+app.post('/webhook/amplitude', async (req, res) => {
+  const authError = verifyRequest({
+    rawBody: req.rawBody,
+    secretHeader: req.get('X-Webhook-Secret'),
+    signatureHeader: req.get('X-Signature')
+  }, {
+    secret: process.env.AMPLITUDE_WEBHOOK_SECRET,
+    hmacSecret: process.env.AMPLITUDE_WEBHOOK_HMAC_SECRET
+  });
+  if (authError) {
+    return res.status(401).json({ error: authError });
+  }
 
-  if (!CLEVERTAP_ACCOUNT_ID || !CLEVERTAP_PASSCODE) {
-    console.log('[MOCK] Would send via CleverTap:', { userId, message, channel });
-    return { success: true, mock: true };
+  const events = eventBatch(req.body);
+  if (!events) {
+    return res.status(400).json({ error: 'body must be an event, an array of events or { events: [...] }' });
+  }
+  if (events.length > webhookMaxBatch) {
+    return res.status(413).json({ error: `batch of ${events.length} events exceeds the limit of ${webhookMaxBatch}` });
   }
 
-  const payload = {
-    to: { "Identity": [userId] },
-    tag_group: "experiment_engine",
-    respect_frequency_caps: false,
-    content: {
-      title: "Stage",
-      body: message,
-      platform_specific: {
-        android: { deep_link: `stage://experiment/${experimentId}` },
-        ios: { deep_link: `stage://experiment/${experimentId}` }
-      }
-    }
+  const report = {
+    received: events.length,
+    accepted: 0,
+    rejected: 0,
+    duplicates: 0,
+    processed: 0,
+    stale: 0,
+    by_event_type: {},
+    rejections: []
   };
-
-  const endpoints = {
-    push: 'https://api.clevertap.com/1/send/push.json',
-    whatsapp: 'https://api.clevertap.com/1/send/whatsapp.json',
-    sms: 'https://api.clevertap.com/1/send/sms.json'
+  const tally = (event, outcome) => {
+    const type = typeof event?.event_type === 'string' && event.event_type ? event.event_type : '(missing)';
+    report.by_event_type[type] ||= { accepted: 0, rejected: 0, duplicates: 0 };
+    report.by_event_type[type][outcome]++;
+    report[outcome]++;
+    telemetry.events.inc({ source: 'amplitude', event_type: type, outcome });
   };
 
-  try {
-    const response = await axios.post(endpoints[channel] || endpoints.push, payload, {
-      headers: {
-        'X-CleverTap-Account-Id': CLEVERTAP_ACCOUNT_ID,
-        'X-CleverTap-Passcode': CLEVERTAP_PASSCODE,
-        'Content-Type': 'application/json'
-      }
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    console.error('CleverTap error:', error.message);
-    return { success: false, error: error.message };
+  for (const [index, event] of events.entries()) {
+    const errors = validateEvent(event);
+    if (errors.length > 0) {
+      tally(event, 'rejected');
+      report.rejections.push({
+        index,
+        event_type: event?.event_type ?? null,
+        insert_id: event && typeof event === 'object' ? dedupKey(event) : null,
+        errors
+      });
+      continue;
+    }
+    const outcome = await ingestEvent(event);
+    tally(event, outcome === 'duplicate' ? 'duplicates' : outcome === 'rejected' ? 'rejected' : 'accepted');
+    if (outcome === 'processed') report.processed++;
+    if (outcome === 'stale') report.stale++;
   }
-}
 
-// ============================================
-// CREATE EXPERIMENT
-// ============================================
-async function createExperiment(userId, cohort, userAttributes = {}) {
-  // Check if we already have a recent experiment for this user
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
-  const recent = db.data.experiments.find(
-    e => e.user_id === userId && e.cohort === cohort && e.created_at > oneHourAgo
-  );
+  if (report.rejected > 0) {
+    log.warn('REJECTED', `${report.rejected} of ${events.length} Amplitude events failed validation`, {
+    rejected: report.rejected,
+    received: events.length
+  });
+  }
+  await db.write();
+  res.json(report);
+});
 
-  if (recent) {
-    console.log(`[SKIP] Already have recent experiment for ${userId}`);
-    return recent;
+// Runs one validated event through the engine at the time it happened
+// (never later than now - a future timestamp is clock skew). Returns
+// 'rejected' when its time is unusable, 'duplicate', 'stale' when too old
+// to start anything (isStaleEvent), 'processed' when it matched a rule, or
+// 'accepted'.
+async function ingestEvent(event) {
+  const timestamp = eventTimestamp(event);
+  if (timestamp === null && (event.time ?? event.event_time ?? null) !== null) {
+    log.warn('REJECTED', `${event.event_type} has no usable time`, { event_type: event.event_type, insert_id: dedupKey(event) });
+    return 'rejected';
   }
+  const eventTime = new Date(Math.min(timestamp ?? clock.ms(), clock.ms())).toISOString();
 
-  const experimentId = uuidv4();
-  const combo = selectCombo(cohort, userAttributes);
-  const message = generateMessage(combo, userAttributes);
-  const now = new Date().toISOString();
+  if (isDuplicateEvent(event)) {
+    logEvent(event, eventTime, true);
+    log.info('DUPLICATE', `${event.event_type} ${dedupKey(event)}`, {
+      event_type: event.event_type,
+      user_id: String(event.user_id || event.device_id),
+      insert_id: dedupKey(event)
+    });
+    return 'duplicate';
+  }
 
-  const experiment = {
-    id: experimentId,
+  const eventType = event.event_type;
+  const userId = String(event.user_id || event.device_id);
+  const properties = event.event_properties || {};
+
+  log.info('EVENT', `${eventType} from user ${userId} at ${eventTime}`, {
+    event_type: eventType,
     user_id: userId,
-    cohort,
-    timing: combo.timing,
-    channel: combo.channel,
-    lever: combo.lever,
-    offer: combo.offer,
-    tone: combo.tone,
-    message,
-    created_at: now,
-    sent_at: null,
-    opened_at: null,
-    converted_at: null,
-    status: 'pending'
-  };
+    event_time: eventTime,
+    insert_id: dedupKey(event)
+  });
+  logEvent(event, eventTime, false);
 
-  db.data.experiments.push(experiment);
+  const rules = getRules();
 
-  // Calculate send time
-  const delay = frameworks.timing.delays[combo.timing];
-  let sendAt;
+  if (referencedEvents(rules).has(eventType)) {
+    const data = {};
+    for (const field of EVENT_FIELDS) {
+      if (event[field] !== undefined) data[field] = event[field];
+    }
+    db.user_events.insert({ id: uuidv4(), user_id: userId, event_type: eventType, event_time: eventTime, data });
+  }
 
-  if (delay) {
-    sendAt = new Date(Date.now() + delay);
-  } else if (combo.timing === 'next_morning') {
-    sendAt = getNextTime(8, 0);
-  } else if (combo.timing === 'next_evening') {
-    sendAt = getNextTime(19, 0);
-  } else {
-    sendAt = new Date(Date.now() + 60000);
+  // Top-level fields (platform, city...) come last: properties are more specific
+  const topLevel = Object.fromEntries(
+    EVENT_FIELDS.filter(field => !field.endsWith('_properties')).map(field => [field, event[field]])
+  );
+  rememberProfile(userId, properties, event.user_properties || {}, topLevel);
+  applyConsentEvents(userId, event, eventTime);
+  resolvePendingJourneys(userId, eventType, eventTime);
+
+  // Check if this is a conversion event
+  await checkForConversion(userId, eventType, eventTime, event);
+  applySuppressionRules(userId, eventType);
+
+  if (isStaleEvent(eventTime)) {
+    log.warn('STALE', `${eventType} from user ${userId} at ${eventTime} is older than the max event age - no journey started`, {
+      event_type: eventType,
+      user_id: userId,
+      event_time: eventTime
+    });
+    telemetry.staleEvents.inc({ event_type: eventType });
+    await db.write();
+    return 'stale';
+  }
+
+  const rule = matchRule(rules, event, r => countOccurrences(userId, eventTime, r));
+  if (!rule) {
+    await db.write();
+    return 'accepted';
   }
 
-  db.data.scheduled_messages.push({
+  if (rule.wait_for.length === 0) {
+    await createExperiment(userId, rule.cohort, properties);
+    log.info('IMMEDIATE', `Created experiment for ${userId} (${rule.cohort}) via rule ${rule.id}`, {
+      user_id: userId,
+      cohort: rule.cohort,
+      rule_id: rule.id
+    });
+    return 'processed';
+  }
+
+  const journey = {
     id: uuidv4(),
-    experiment_id: experimentId,
     user_id: userId,
-    send_at: sendAt.toISOString(),
-    status: 'pending'
-  });
+    rule_id: rule.id,
+    event_type: eventType,
+    event_time: eventTime,
+    properties: JSON.stringify(properties),
+    check_at: new Date(Date.parse(eventTime) + rule.timeout_minutes * 60 * 1000).toISOString(),
+    checked: false
+  };
 
+  // The follow-up may have arrived before the event that starts the journey
+  const followUp = findFollowUp(journey, rule);
+  if (followUp) {
+    journey.checked = true;
+    journey.checked_at = clock.iso();
+    journey.outcome = 'completed';
+    journey.follow_up = followUp.event_type;
+  }
+  db.user_journey.insert(journey);
   await db.write();
 
-  console.log(`[EXPERIMENT] Created ${experimentId} for ${userId} (${cohort}) - sending at ${sendAt.toISOString()}`);
-  return { id: experimentId, combo, message, sendAt };
+  if (followUp) {
+    log.info('OK', `User ${userId} already did ${followUp.event_type} (rule ${rule.id}, out of order)`, {
+      user_id: userId,
+      journey_id: journey.id,
+      rule_id: rule.id
+    });
+    telemetry.journeys.inc({ cohort: rule.cohort, outcome: 'ok' });
+  } else {
+    log.info('SCHEDULED', `Will check ${userId} for ${rule.wait_for.join('/')} at ${journey.check_at} (rule ${rule.id})`, {
+      user_id: userId,
+      journey_id: journey.id,
+      rule_id: rule.id,
+      check_at: journey.check_at
+    });
+    telemetry.journeys.inc({ cohort: rule.cohort, outcome: 'scheduled' });
+  }
+  return 'processed';
 }
 
-function getNextTime(hour, minute) {
-  const now = new Date();
-  const target = new Date(now);
-  target.setHours(hour, minute, 0, 0);
-  if (target <= now) target.setDate(target.getDate() + 1);
-  return target;
-}
+// Close any journey this event was waiting for: it must have happened
+// after the trigger and by the deadline. A follow-up that turns up after
+// the journey was already judged abandoned reverses that and cancels the
+// cohort's unsent messages.
+function resolvePendingJourneys(userId, eventType, eventTime) {
+  const open = db.user_journey.find({ user_id: userId })
+    .filter(j => !j.checked || j.outcome === 'abandoned');
 
-function updateComboStats(comboKey, experiment, converted) {
-  let stats = db.data.combo_stats.find(s => s.combo_key === comboKey);
+  for (const journey of open) {
+    const rule = ruleForJourney(journey);
+    if (!rule || !rule.wait_for.includes(eventType)) continue;
+    if (eventTime <= journey.event_time || eventTime > journey.check_at) continue;
 
-  if (stats) {
-    stats.sent_count += 1;
-    if (converted) stats.converted_count += 1;
-    stats.last_updated = new Date().toISOString();
-  } else {
-    db.data.combo_stats.push({
-      combo_key: comboKey,
-      timing: experiment.timing,
-      channel: experiment.channel,
-      lever: experiment.lever,
-      offer: experiment.offer,
-      sent_count: 1,
-      converted_count: converted ? 1 : 0,
-      last_updated: new Date().toISOString()
-    });
+    if (journey.checked) {
+      journey.corrected_at = clock.iso();
+      cancelPendingMessages(userId, 'late_follow_up', [rule.cohort]);
+      log.info('CORRECTED', `${userId} did ${eventType} in time after all (rule ${rule.id})`, {
+        user_id: userId,
+        journey_id: journey.id,
+        rule_id: rule.id
+      });
+      telemetry.journeys.inc({ cohort: rule.cohort, outcome: 'corrected' });
+    } else {
+      journey.checked_at = clock.iso();
+      log.info('OK', `User ${userId} did ${eventType} (rule ${rule.id})`, { user_id: userId, journey_id: journey.id, rule_id: rule.id });
+      telemetry.journeys.inc({ cohort: rule.cohort, outcome: 'ok' });
+    }
+    journey.checked = true;
+    journey.outcome = 'completed';
+    journey.follow_up = eventType;
+    db.user_journey.save(journey);
   }
 }
 
 // ============================================
-// CRON: Send Scheduled Messages
+// CLEVERTAP WEBHOOK - Delivery Callbacks
 // ============================================
-cron.schedule('* * * * *', async () => {
-  const now = new Date().toISOString();
+// Body: one callback, an array, or { events: [...] }. Each item:
+// { event: delivered|failed|read|clicked|unsubscribed|..., experiment_id? |
+//   deep_link? | identity?, channel?, ts?, reason? }
+// Items that are not objects, or whose fields have the wrong type, are
+// counted as invalid and skipped.
+const CALLBACK_LINK_FIELDS = ['deep_link', 'wzrk_dl'];
+const CALLBACK_ID_FIELDS = ['event', 'status', 'experiment_id', 'identity', 'user_id', 'channel'];
 
-  const pendingMessages = db.data.scheduled_messages.filter(
-    sm => sm.status === 'pending' && sm.send_at <= now
-  ).slice(0, 100);
+// ts is epoch seconds or a timestamp; null when it is not a usable date
+function callbackTime(ts) {
+  const ms = new Date(typeof ts === 'number' ? ts * 1000 : ts).getTime();
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function isCallback(item) {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) return false;
+  const given = field => item[field] !== undefined && item[field] !== null;
+  return CALLBACK_LINK_FIELDS.every(field => !given(field) || typeof item[field] === 'string') &&
+    CALLBACK_ID_FIELDS.every(field => !given(field) || typeof item[field] === 'string' || Number.isFinite(item[field])) &&
+    (!item.ts || ((typeof item.ts === 'number' || typeof item.ts === 'string') && callbackTime(item.ts) !== null));
+}
+
+app.post('/webhook/clevertap', async (req, res) => {
+  const secret = process.env.CLEVERTAP_WEBHOOK_SECRET;
+  if (secret && req.get('X-Webhook-Secret') !== secret) {
+    return res.status(401).json({ error: 'invalid webhook secret' });
+  }
 
-  for (const msg of pendingMessages) {
-    const experiment = db.data.experiments.find(e => e.id === msg.experiment_id);
-    if (!experiment) continue;
+  const batch = Array.isArray(req.body) ? req.body : (req.body.events || [req.body]);
+  const items = Array.isArray(batch) ? batch : [batch];
+  let updated = 0;
+  let unmatched = 0;
+  let invalid = 0;
+  const count = (type, outcome) => {
+    if (outcome === 'updated') updated++;
+    else if (outcome === 'invalid') invalid++;
+    else unmatched++;
+    telemetry.events.inc({ source: 'clevertap', event_type: type || '(missing)', outcome });
+  };
 
-    try {
-      await sendViaCleverTap(msg.user_id, experiment.message, experiment.channel, msg.experiment_id);
+  for (const item of items) {
+    if (!isCallback(item)) {
+      count(null, 'invalid');
+      continue;
+    }
+    const type = String(item.event || item.status || '').toLowerCase();
+    const at = item.ts ? callbackTime(item.ts) : undefined;
 
-      msg.status = 'sent';
-      experiment.sent_at = new Date().toISOString();
-      experiment.status = 'sent';
+    // Unsubscribes / STOP replies, as configured in the consent events.
+    // Without a channel, one naming the message it answers is about that
+    // message's channel; otherwise the event's rule decides.
+    if (getConsentConfig().events[type]) {
+      const names = item.experiment_id || item.deep_link || item.wzrk_dl;
+      const replyTo = names ? experimentForCallback(item) : null;
+      const userId = item.identity || item.user_id || replyTo?.user_id;
+      if (!userId) {
+        count(type, 'unmatched');
+        continue;
+      }
+      const channel = item.channel || replyTo?.channel;
+      applyConsentEvents(String(userId), { event_type: type, event_properties: { channel } }, at || clock.iso());
+      count(type, 'updated');
+      continue;
+    }
 
-      const comboKey = `${experiment.timing}|${experiment.channel}|${experiment.lever}|${experiment.offer}`;
-      updateComboStats(comboKey, experiment, false);
+    const status = clevertapEventStatus[type];
+    const experiment = status && experimentForCallback(item);
+    if (!experiment || !experiment.sent_at) {
+      count(type, 'unmatched');
+      continue;
+    }
 
-      console.log(`[SENT] ${msg.experiment_id} to ${msg.user_id} via ${experiment.channel}`);
-    } catch (error) {
-      console.error(`[ERROR] Failed to send ${msg.experiment_id}:`, error.message);
+    if (status === 'failed') {
+      // A late failure cannot undo an open or click we already saw
+      if (reachedStatus(experiment, 'opened')) continue;
+      experiment.status = 'failed';
+      experiment.failed_at = at || clock.iso();
+      experiment.failure_reason = item.reason || item.error || null;
+      log.warn('FAILED', `${experiment.id} to ${experiment.user_id}: ${experiment.failure_reason || 'no reason given'}`, {
+        experiment_id: experiment.id,
+        user_id: experiment.user_id,
+        channel: experiment.channel
+      });
+    } else if (advanceStatus(experiment, status, at)) {
+      log.info(status.toUpperCase(), `${experiment.id} (${experiment.user_id})`, { experiment_id: experiment.id, user_id: experiment.user_id });
     }
+    db.experiments.save(experiment);
+    count(type, 'updated');
   }
 
   await db.write();
+  res.json({ updated, unmatched, invalid });
 });
 
-// ============================================
-// API ENDPOINTS
-// ============================================
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+// Tracked deep link: record the click, then hand over to the app
+app.get('/r/:experimentId', async (req, res) => {
+  const experiment = db.experiments.get(req.params.experimentId);
 
-app.get('/api/stats', (req, res) => {
-  const experiments = db.data.experiments;
-  const total = experiments.length;
-  const converted = experiments.filter(e => e.status === 'converted').length;
-  const opened = experiments.filter(e => ['opened', 'converted'].includes(e.status)).length;
-  const sent = experiments.filter(e => ['sent', 'opened', 'converted'].includes(e.status)).length;
-
-  const topCombos = db.data.combo_stats
-    .filter(s => s.sent_count >= 5)
-    .map(s => ({
-      ...s,
-      cvr: (s.converted_count / s.sent_count * 100).toFixed(2)
-    }))
-    .sort((a, b) => parseFloat(b.cvr) - parseFloat(a.cvr))
-    .slice(0, 10);
+  if (experiment && experiment.arm !== 'control' && advanceStatus(experiment, 'clicked')) {
+    db.experiments.save(experiment);
+    await db.write();
+    log.info('CLICKED', `${experiment.id} (${experiment.user_id})`, { experiment_id: experiment.id, user_id: experiment.user_id });
+  }
 
-  const worstCombos = db.data.combo_stats
-    .filter(s => s.sent_count >= 5)
-    .map(s => ({
-      ...s,
-      cvr: (s.converted_count / s.sent_count * 100).toFixed(2)
+  res.redirect(302, `stage://experiment/${req.params.experimentId}`);
+});
+
+// Check if user completed the expected next step
+async function checkForConversion(userId, eventType, eventTime = clock.iso(), event = {}) {
+  if (eventType === 'trial_activated') {
+    // Sends inside their attribution window share the credit under the
+    // configured model; a message only counts if it went out before the
+    // conversion happened. Control-arm experiments in their cohort's window
+    // convert too, so lift compares like with like.
+    const config = getAttributionConfig();
+    const assigned = db.experiments.find({ user_id: userId, created_at: { lte: eventTime } });
+    const candidates = assigned.filter(e => [...SENT_STATUSES, 'holdout'].includes(e.status) && e.status !== 'converted');
+
+    const controls = candidates.filter(e =>
+      e.arm === 'control' && inWindow(e.created_at, eventTime, windowHours(config, e.cohort, null))
+    );
+    const touches = assignCredit(
+      candidates
+        .filter(e => e.arm !== 'control' && e.sent_at && inWindow(e.sent_at, eventTime, windowHours(config, e.cohort, e.channel)))
+        .map(e => ({ experiment: e, sent_at: e.sent_at })),
+      eventTime,
+      config
+    );
+    const { value, currency, plan } = conversionValue(event);
+
+    db.transaction(() => {
+      // Intent-to-treat outcome for the holdout comparison (cohortLift):
+      // every experiment assigned within its cohort's window, whatever
+      // became of its message
+      for (const experiment of assigned) {
+        if (experiment.itt_converted_at) continue;
+        if (!inWindow(experiment.created_at, eventTime, windowHours(config, experiment.cohort, null))) continue;
+        experiment.itt_converted_at = eventTime;
+        db.experiments.save(experiment);
+      }
+
+      if (touches.length > 0 || controls.length > 0) {
+        const conversion = {
+          id: uuidv4(),
+          user_id: userId,
+          converted_at: eventTime,
+          model: config.model,
+          value,
+          currency,
+          plan,
+          touches: touches.map(({ experiment, sent_at, credit }) => ({
+            experiment_id: experiment.id,
+            cohort: experiment.cohort,
+            combo_key: comboKeyOf(experiment),
+            sent_at,
+            credit
+          })),
+          control_experiments: controls.map(e => e.id)
+        };
+        db.conversions.insert(conversion);
+
+        for (const { experiment, credit } of touches.filter(t => t.credit > 0)) {
+          experiment.converted_at = eventTime;
+          experiment.status = 'converted';
+          experiment.conversion_id = conversion.id;
+          experiment.attribution_credit = credit;
+          experiment.revenue = value === null ? null : roundAmount(value * credit);
+          experiment.plan = plan;
+          db.experiments.save(experiment);
+          updateComboStats(experiment, 'converted', { credit, revenue: experiment.revenue || 0 });
+          log.info('CONVERTED', `User ${userId} converted! Experiment ${experiment.id} (${config.model}, credit ${credit})`, {
+            user_id: userId,
+            experiment_id: experiment.id,
+            cohort: experiment.cohort,
+            conversion_id: conversion.id,
+            credit
+          });
+          telemetry.conversions.inc({ cohort: experiment.cohort, arm: experiment.arm });
+        }
+
+        for (const experiment of controls) {
+          experiment.converted_at = eventTime;
+          experiment.status = 'converted';
+          experiment.conversion_id = conversion.id;
+          db.experiments.save(experiment);
+          log.info('CONVERTED', `Control user ${userId} converted without a message. Experiment ${experiment.id}`, {
+            user_id: userId,
+            experiment_id: experiment.id,
+            cohort: experiment.cohort,
+            conversion_id: conversion.id
+          });
+          telemetry.conversions.inc({ cohort: experiment.cohort, arm: experiment.arm });
+        }
+
+        live.publish('conversion', {
+          conversion_id: conversion.id,
+          user_id: userId,
+          converted_at: eventTime,
+          model: config.model,
+          value,
+          currency,
+          credited: touches.filter(t => t.credit > 0).map(t => ({ experiment_id: t.experiment.id, cohort: t.experiment.cohort, credit: t.credit })),
+          control_experiments: conversion.control_experiments
+        });
+      }
+
+      cancelPendingMessages(userId, 'converted');
+    });
+    await db.write();
+  }
+}
+
+// ============================================
+// SEQUENCES
+// ============================================
+// Called once a step has been sent: schedule the next one or finish
+async function advanceSequence(experiment) {
+  const sequence = db.sequences.get(experiment.sequence_id);
+  if (!sequence || sequence.status !== 'active') return;
+
+  const nextStep = experiment.step + 1;
+  if (nextStep > sequence.steps.length) {
+    sequence.status = 'completed';
+    sequence.ended_at = clock.iso();
+    sequence.end_reason = 'last_step_sent';
+    db.sequences.save(sequence);
+    return;
+  }
+
+  sequence.current_step = nextStep;
+  db.sequences.save(sequence);
+  const result = await scheduleStep({
+    userId: sequence.user_id,
+    cohort: sequence.cohort,
+    userAttributes: sequence.attributes,
+    sequenceId: sequence.id,
+    step: nextStep,
+    stepConfig: sequence.steps[nextStep - 1]
+  });
+  if (result.skipped) {
+    sequence.status = 'stopped';
+    sequence.ended_at = clock.iso();
+    sequence.end_reason = result.reason;
+    db.sequences.save(sequence);
+  }
+}
+
+// ============================================
+// SUPPRESSION
+// ============================================
+function applySuppressionRules(userId, eventType) {
+  for (const rule of db.data.suppression_rules) {
+    if (rule.event_type === eventType) {
+      cancelPendingMessages(userId, rule.reason, rule.cohorts);
+    }
+  }
+}
+
+function cancelMessage(msg, experiment, reason) {
+  msg.status = 'cancelled';
+  msg.cancel_reason = reason;
+  msg.cancelled_at = clock.iso();
+  db.scheduled_messages.save(msg);
+  telemetry.sends.inc({
+    channel: experiment?.channel ?? 'unknown',
+    outcome: reason === 'frequency_capped' ? 'capped' : 'cancelled'
+  });
+  if (experiment) {
+    experiment.status = 'cancelled';
+    experiment.cancel_reason = reason;
+    db.experiments.save(experiment);
+  }
+}
+
+// Cancel a user's unsent messages (optionally only in some cohorts) and
+// end their active sequences, recording why
+function cancelPendingMessages(userId, reason, cohorts = []) {
+  const now = clock.iso();
+  const inScope = cohort => cohorts.length === 0 || cohorts.includes(cohort);
+  let cancelled = 0;
+
+  for (const msg of db.scheduled_messages.find({ user_id: userId, status: 'pending' })) {
+    const experiment = db.experiments.get(msg.experiment_id);
+    if (experiment && !inScope(experiment.cohort)) continue;
+
+    cancelMessage(msg, experiment, reason);
+    cancelled++;
+  }
+
+  const active = db.sequences.find({ user_id: userId, status: 'active' }).filter(s => inScope(s.cohort));
+  for (const sequence of active) {
+    sequence.status = reason === 'converted' ? 'converted' : 'stopped';
+    sequence.ended_at = now;
+    sequence.end_reason = reason;
+    db.sequences.save(sequence);
+    log.info('SEQUENCE', `Stopped ${sequence.id} for ${userId} at step ${sequence.current_step} (${reason})`, {
+      sequence_id: sequence.id,
+      user_id: userId,
+      reason
+    });
+  }
+
+  if (cancelled > 0) {
+    log.info('SUPPRESSED', `Cancelled ${cancelled} pending message(s) for ${userId} (${reason})`, { user_id: userId, reason });
+  }
+  return cancelled;
+}
+
+// ============================================
+// CONSENT & COMPLIANCE (lib/consent.js)
+// ============================================
+// Opt-outs, DND and send windows are checked when a message is scheduled
+// and again right before it goes out. Consent is set through
+// /api/consent and by the events in the consent config.
+function getConsentConfig() {
+  return db.data.consent_config;
+}
+
+function consentRecords(userId) {
+  return Object.fromEntries(db.consents.find({ user_id: userId }).map(r => [r.channel, r]));
+}
+
+// The latest change wins, so a late event cannot undo a newer one.
+// Returns the record, or null when nothing changed.
+function setConsent(userId, channel, status, source, at = clock.iso()) {
+  const id = `${userId}:${channel}`;
+  const record = db.consents.get(id) || { id, user_id: userId, channel, status: null, history: [] };
+  if (record.status === status || (record.updated_at && record.updated_at > at)) return null;
+
+  record.status = status;
+  record.source = source;
+  record.updated_at = at;
+  record.history = [...record.history, { status, source, at }].slice(-CONSENT_HISTORY);
+  db.consents.save(record);
+
+  log.info('CONSENT', `${userId} ${channel}: ${status} (${source})`, { user_id: userId, channel, status, source });
+  return record;
+}
+
+function applyConsentEvents(userId, event, eventTime) {
+  for (const { channel, status } of consentFromEvent(event, getConsentConfig(), frameworks.channel)) {
+    setConsent(userId, channel, status, `event:${event.event_type}`, eventTime);
+  }
+}
+
+// entry: { user_id, cohort, experiment_id, channel, stage, action, reason, ... }
+function recordSuppression(entry) {
+  db.suppressions.insert({ id: uuidv4(), at: clock.iso(), ...entry });
+}
+
+// The channel a message to this user may use instead, from the cohort's channels
+function permittedChannel(userId, cohort, channel) {
+  return resolveChannel(consentRecords(userId), channel, getConsentConfig(), stepOptions(cohort).channel);
+}
+
+// Applied after quiet hours: a regulatory window overrides our own
+function applySendWindow(date, channel) {
+  const window = getConsentConfig().send_windows[channel];
+  return window ? applyQuietHours(date, window.timezone, windowAsQuietHours(window)) : date;
+}
+
+// Moves a scheduled experiment to a fallback channel, re-rendered since
+// templates and length limits differ per channel
+function switchChannel(experiment, { channel, reason }) {
+  const from = experiment.channel;
+  const sequence = experiment.sequence_id && db.sequences.get(experiment.sequence_id);
+  const rendered = generateMessage({ ...experiment, channel }, sequence?.attributes);
+
+  Object.assign(experiment, {
+    channel,
+    channel_fallback: { from, reason },
+    locale: rendered.template?.locale || experiment.locale,
+    template_id: rendered.template?.id ?? null,
+    template_version: rendered.template?.version ?? null,
+    title: rendered.title,
+    message: rendered.body,
+    message_truncated: rendered.truncated
+  });
+  db.experiments.save(experiment);
+
+  recordSuppression({
+    user_id: experiment.user_id,
+    cohort: experiment.cohort,
+    experiment_id: experiment.id,
+    channel: from,
+    stage: 'send',
+    action: 'fallback',
+    reason,
+    fallback_to: channel
+  });
+  log.info('FALLBACK', `${experiment.id} for ${experiment.user_id}: ${from} is ${reason}, sending via ${channel}`, {
+    experiment_id: experiment.id,
+    user_id: experiment.user_id,
+    channel: from,
+    fallback_to: channel,
+    reason
+  });
+}
+
+// ============================================
+// JOB: Abandonment checks (see JOB RUNNER)
+// ============================================
+function dueJourneys(now, limit) {
+  return db.user_journey.find(
+    { checked: false, check_at: { lte: now } },
+    { orderBy: ['check_at', 'asc'], limit }
+  );
+}
+
+// Re-read first: another replica may have checked it since it was listed
+async function checkJourney({ id }) {
+  const now = clock.iso();
+  const journey = db.user_journey.get(id);
+  if (!journey || journey.checked || journey.check_at > now) return 'skipped';
+
+  const rule = ruleForJourney(journey);
+  journey.checked = true;
+  journey.checked_at = now;
+
+  if (!rule || !rule.enabled) {
+    journey.outcome = 'rule_disabled';
+    db.user_journey.save(journey);
+    log.info('SKIP', `Rule for journey ${journey.id} was removed or disabled`, { journey_id: journey.id, user_id: journey.user_id });
+    telemetry.journeys.inc({ cohort: 'unknown', outcome: 'skipped' });
+    return 'skipped';
+  }
+
+  // Check if user did any of the expected follow-up events
+  const followUp = findFollowUp(journey, rule);
+
+  if (!followUp) {
+    journey.outcome = 'abandoned';
+    db.user_journey.save(journey);
+    log.info('ABANDONED', `User ${journey.user_id} didn't do ${rule.wait_for.join('/')} → ${rule.cohort}`, {
+      user_id: journey.user_id,
+      journey_id: journey.id,
+      cohort: rule.cohort
+    });
+    telemetry.journeys.inc({ cohort: rule.cohort, outcome: 'abandoned' });
+    const properties = JSON.parse(journey.properties || '{}');
+    await createExperiment(journey.user_id, rule.cohort, properties);
+  } else {
+    journey.outcome = 'completed';
+    journey.follow_up = followUp.event_type;
+    db.user_journey.save(journey);
+    log.info('OK', `User ${journey.user_id} did ${followUp.event_type}`, { user_id: journey.user_id, journey_id: journey.id });
+    telemetry.journeys.inc({ cohort: rule.cohort, outcome: 'ok' });
+  }
+}
+
+function pruneExpired() {
+  pruneUserEvents();
+  pruneIngestedEvents();
+  pruneEventLog();
+  db.job_leases.remove({ expires_at: { lt: clock.iso() } });
+}
+
+// One batch of everything due, without leases: replay runs single-process
+async function checkAbandonments() {
+  for (const journey of dueJourneys(clock.iso(), jobConfig.batch_size)) {
+    await checkJourney(journey);
+  }
+  pruneExpired();
+  await db.write();
+}
+
+// ============================================
+// SMART COMBO SELECTION
+// ============================================
+// Every cohort is its own bandit. In 'combo' mode the arms are all
+// timing × channel × lever × offer combinations in the cohort's options
+// (db.data.cohort_intelligence), scored from that cohort's arm_stats
+// only, and tone and locale are separate per-cohort bandits. In 'factorial' mode the
+// whole combo, tone and locale included, is composed from per-dimension
+// estimates. 'contextual' mode is combo mode with each arm's rate
+// adjusted for the user's features (lib/contextual.js). Locale
+// candidates are the user's fallback chain (lib/locales.js), so a
+// Haryanvi speaker may get Haryanvi, Hindi or Hinglish copy depending on
+// what converts.
+//
+// Follow-up steps of a sequence learn separately (stats are keyed by
+// step), and a step may pin any dimension, e.g. { channel: 'sms' }.
+//
+// Paused combos (db.data.paused_arms) are never picked. Returns null when
+// pauses and retirements leave nothing to pick.
+function selectCombo(cohort, features = {}, step = 1, stepConfig = {}, locales = LOCALES) {
+  const config = getBanditConfig(cohort);
+  const options = stepOptions(cohort, stepConfig, locales);
+  const pauses = db.data.paused_arms;
+  if (CATALOG_DIMENSIONS.some(dim => options[dim].length === 0)) return null;
+
+  if (config.mode === 'factorial') {
+    return composeCombo(
+      options, dimensionLookup(cohort, step), cohortBaseline(cohort, step), config,
+      combo => !isPaused(pauses, cohort, combo)
+    );
+  }
+
+  let arms = getCohortArms(cohort, step, stepConfig).filter(arm => !arm.paused);
+  if (arms.length === 0) return null;
+  if (config.mode === 'contextual') {
+    arms = contextualArms(arms, features, contextLookup(cohort, step), getFeatureConfig(), config);
+  }
+
+  const selected = chooseArm(arms, config);
+  const lookup = dimensionLookup(cohort, step);
+  const pick = (dim, values) => chooseArm(
+    values.map(value => ({ key: value, ...lookup(dim, value) })),
+    config
+  ).key;
+
+  return {
+    timing: selected.timing,
+    channel: selected.channel,
+    lever: selected.lever,
+    offer: selected.offer,
+    tone: pick('tone', options.tone.filter(tone => !isPaused(pauses, cohort, { ...selected, tone }))),
+    locale: pick('locale', options.locale)
+  };
+}
+
+// Cohorts a rule created without options of their own borrow
+// checkout_abandoners'. Retired values drop out, and a step pinned to one
+// falls back to the cohort's options.
+function stepOptions(cohort, stepConfig = {}, locales = LOCALES) {
+  const intelligence = getCohortIntelligence();
+  const cohortOptions = intelligence[cohort] || intelligence.checkout_abandoners || {};
+  const options = { locale: locales };
+  for (const dim of CATALOG_DIMENSIONS) {
+    const pinned = stepConfig[dim];
+    options[dim] = pinned && isActiveValue(dim, pinned)
+      ? [pinned]
+      : (cohortOptions[dim] || []).filter(value => isActiveValue(dim, value));
+  }
+  return options;
+}
+
+// Rows written before sequences existed have no step and count as step 1
+function isStep(row, step) {
+  return (row.step || 1) === step;
+}
+
+function dimensionLookup(cohort, step = 1) {
+  const rows = db.dimension_stats.find({ cohort }).filter(d => isStep(d, step));
+  return (dimension, value) => {
+    const row = rows.find(d => d.dimension === dimension && d.value === value);
+    return { sent: row ? row.sent_count : 0, converted: row ? row.converted_count : 0 };
+  };
+}
+
+// Arm stats among users with one feature value
+function contextLookup(cohort, step = 1) {
+  const rows = new Map(
+    db.context_stats.find({ cohort })
+      .filter(c => isStep(c, step))
+      .map(c => [`${c.combo_key}|${c.feature}|${c.value}`, c])
+  );
+  return (comboKey, feature, value) => {
+    const row = rows.get(`${comboKey}|${feature}|${value}`);
+    return { sent: row ? row.sent_count : 0, converted: row ? row.converted_count : 0 };
+  };
+}
+
+function cohortBaseline(cohort, step = 1) {
+  return db.arm_stats.find({ cohort })
+    .filter(a => isStep(a, step))
+    .reduce((acc, a) => ({
+      sent: acc.sent + a.sent_count,
+      converted: acc.converted + a.converted_count
+    }), { sent: 0, converted: 0 });
+}
+
+// An arm is paused when a pause matches it with every tone it could take
+function getCohortArms(cohort, step = 1, stepConfig = {}) {
+  const options = stepOptions(cohort, stepConfig);
+  const rows = db.arm_stats.find({ cohort }).filter(a => isStep(a, step));
+  const pauses = db.data.paused_arms;
+  const arms = [];
+
+  for (const timing of options.timing) {
+    for (const channel of options.channel) {
+      for (const lever of options.lever) {
+        for (const offer of options.offer) {
+          const key = comboKeyOf({ timing, channel, lever, offer });
+          const stats = rows.find(a => a.combo_key === key);
+          arms.push({
+            key,
+            timing,
+            channel,
+            lever,
+            offer,
+            sent: stats ? stats.sent_count : 0,
+            converted: stats ? stats.converted_count : 0,
+            paused: options.tone.every(tone => isPaused(pauses, cohort, { timing, channel, lever, offer, tone }))
+          });
+        }
+      }
+    }
+  }
+
+  return arms;
+}
+
+function comboKeyOf(combo) {
+  return `${combo.timing}|${combo.channel}|${combo.lever}|${combo.offer}`;
+}
+
+function randomFrom(arr) {
+  return arr[Math.floor(Math.random() * arr.length)];
+}
+
+// ============================================
+// MESSAGE GENERATION
+// ============================================
+// Picks a template from the library for the combo and renders it, walking
+// the locale's fallback chain when it has no copy for the combo.
+// { template: null } when the library has nothing for the lever.
+function generateMessage(combo, userAttributes = {}) {
+  const order = new Set([combo.locale, ...localeChain(combo.locale), 'english']);
+  let candidates = [];
+  for (const locale of order) {
+    candidates = candidateTemplates(db.data.templates, combo, locale);
+    if (candidates.length > 0) break;
+  }
+  if (candidates.length === 0) {
+    return { template: null, title: null, body: 'Check out Stage', truncated: false };
+  }
+
+  const template = randomFrom(candidates);
+  const variables = {
+    ...userAttributes,
+    count: Math.floor(Math.random() * 5000) + 1000,
+    hours: Math.floor(Math.random() * 4) + 2
+  };
+  return { template, ...renderTemplate(template, combo, variables, catalogCopy) };
+}
+
+// ============================================
+// CHANNEL PROVIDERS
+// ============================================
+const providers = createProviderRegistry(process.env, { log });
+
+const SEND_MAX_ATTEMPTS = parseInt(process.env.SEND_MAX_ATTEMPTS) || 5;
+const SEND_RETRY_BASE_MS = parseInt(process.env.SEND_RETRY_BASE_MS) || 60 * 1000;
+
+// 1, 2, 4, 8... × base after the 1st, 2nd, 3rd... failed attempt
+function retryDelay(attempts) {
+  return SEND_RETRY_BASE_MS * Math.pow(2, attempts - 1);
+}
+
+log.info('PROVIDERS', Object.entries(providers.describe())
+  .map(([channel, p]) => `${channel}: ${p.provider}${p.configured ? '' : ' (not configured)'}`)
+  .join(', '), { providers: providers.describe() });
+
+// The mock records sends without delivering them; in production that is
+// a misconfiguration, reported by /ready as degraded
+function mockInProduction(provider) {
+  return provider === 'mock' && process.env.NODE_ENV === 'production';
+}
+
+const mockChannels = Object.entries(providers.describe())
+  .filter(([, p]) => mockInProduction(p.provider))
+  .map(([channel]) => channel);
+if (mockChannels.length > 0) {
+  log.warn('PROVIDERS', `NODE_ENV=production but ${mockChannels.join(', ')} use the mock provider - nothing is delivered`, {
+    channels: mockChannels
+  });
+}
+
+// ============================================
+// DELIVERY TRACKING
+// ============================================
+// An experiment only ever moves forward through this funnel. 'failed'
+// (provider could not deliver) and 'cancelled' sit outside it.
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'opened', 'clicked', 'converted'];
+const SENT_STATUSES = STATUS_ORDER.slice(1);
+
+function reachedStatus(experiment, status) {
+  const index = STATUS_ORDER.indexOf(experiment.status);
+  return index !== -1 && index >= STATUS_ORDER.indexOf(status);
+}
+
+function advanceStatus(experiment, status, at = clock.iso()) {
+  experiment[`${status}_at`] ||= at;
+  if (!reachedStatus(experiment, status)) {
+    experiment.status = status;
+    return true;
+  }
+  return false;
+}
+
+// With TRACKING_BASE_URL set, links go through GET /r/:id so clicks are
+// recorded before the app opens
+function deepLinkFor(experimentId) {
+  const base = process.env.TRACKING_BASE_URL;
+  return base
+    ? `${base.replace(/\/$/, '')}/r/${experimentId}`
+    : `stage://experiment/${experimentId}`;
+}
+
+const clevertapEventStatus = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'opened',
+  viewed: 'opened',
+  opened: 'opened',
+  impression: 'opened',
+  clicked: 'clicked',
+  failed: 'failed',
+  bounced: 'failed',
+  undelivered: 'failed'
+};
+
+// Callbacks carry our experiment id directly, inside the deep link, or
+// only the user identity - then the user's latest sent experiment on
+// that channel is the best match
+function experimentForCallback(item) {
+  const link = item.deep_link || item.wzrk_dl || '';
+  const fromLink = link.match(/(?:experiment|\/r)\/([0-9a-f-]{36})/);
+  const experimentId = item.experiment_id || (fromLink && fromLink[1]);
+
+  if (experimentId) return db.experiments.get(experimentId);
+
+  const userId = item.identity || item.user_id;
+  if (!userId) return null;
+
+  return db.experiments.findOne(
+    { user_id: userId, sent_at: { ne: null }, ...(item.channel && { channel: item.channel }) },
+    { orderBy: ['sent_at', 'desc'] }
+  );
+}
+
+// ============================================
+// CREATE EXPERIMENT
+// ============================================
+async function createExperiment(userId, cohort, userAttributes = {}) {
+  // Check if we already have a recent experiment for this user
+  const oneHourAgo = new Date(clock.ms() - 60 * 60 * 1000).toISOString();
+  const recent = db.experiments.findOne({ user_id: userId, cohort, created_at: { gt: oneHourAgo } });
+
+  if (recent) {
+    log.info('SKIP', `Already have recent experiment for ${userId}`, { user_id: userId, cohort, experiment_id: recent.id });
+    return recent;
+  }
+
+  const experimentId = uuidv4();
+
+  if (isHeldOut(userId, cohort)) {
+    const control = {
+      id: experimentId,
+      user_id: userId,
+      cohort,
+      arm: 'control',
+      timing: null,
+      channel: null,
+      lever: null,
+      offer: null,
+      tone: null,
+      locale: null,
+      message: null,
+      created_at: clock.iso(),
+      sent_at: null,
+      opened_at: null,
+      converted_at: null,
+      status: 'holdout'
+    };
+    db.experiments.insert(control);
+    await db.write();
+
+    log.info('HOLDOUT', `${userId} (${cohort}) assigned to control - no message scheduled`, {
+      user_id: userId,
+      cohort,
+      experiment_id: experimentId
+    });
+    telemetry.experiments.inc({ cohort, arm: 'control' });
+    live.publish('experiment', { experiment_id: experimentId, user_id: userId, cohort, arm: 'control' });
+    return { id: experimentId, arm: 'control', combo: null, message: null, sendAt: null };
+  }
+
+  // One cohort at a time per user: a higher-priority cohort pre-empts
+  // pending messages from others, a lower or equal one waits its turn
+  const pendingCohorts = new Set(
+    db.scheduled_messages.find({ user_id: userId, status: 'pending' })
+      .map(m => db.experiments.get(m.experiment_id)?.cohort)
+      .filter(c => c && c !== cohort)
+  );
+  if (pendingCohorts.size > 0) {
+    const policy = getPolicy();
+    const priority = cohortPriority(policy, cohort);
+    const blocking = [...pendingCohorts].filter(c => cohortPriority(policy, c) >= priority);
+
+    if (blocking.length > 0) {
+      log.info('SKIP', `${userId} already has a pending ${blocking.join('/')} message (priority >= ${cohort})`, {
+        user_id: userId,
+        cohort,
+        blocking_cohorts: blocking
+      });
+      return { id: null, skipped: true, reason: 'lower_priority', blocking_cohorts: blocking };
+    }
+    cancelPendingMessages(userId, 'preempted', [...pendingCohorts]);
+  }
+
+  // Cohorts with a configured sequence get a sequence record; the steps
+  // are snapshotted so editing the config does not disturb running ones
+  const steps = getSequenceSteps(cohort);
+  let sequenceId = null;
+
+  if (steps) {
+    sequenceId = uuidv4();
+    db.sequences.insert({
+      id: sequenceId,
+      user_id: userId,
+      cohort,
+      steps,
+      attributes: userAttributes,
+      current_step: 1,
+      status: 'active',
+      started_at: clock.iso(),
+      ended_at: null,
+      end_reason: null
+    });
+  }
+
+  const result = await scheduleStep({
+    experimentId,
+    userId,
+    cohort,
+    userAttributes,
+    sequenceId,
+    step: 1,
+    stepConfig: steps ? steps[0] : {}
+  });
+  if (result.skipped && sequenceId) {
+    const sequence = db.sequences.get(sequenceId);
+    sequence.status = 'stopped';
+    sequence.ended_at = clock.iso();
+    sequence.end_reason = result.reason;
+    db.sequences.save(sequence);
+  }
+
+  return { ...result, sequence_id: sequenceId };
+}
+
+async function scheduleStep({ experimentId = uuidv4(), userId, cohort, userAttributes, sequenceId, step, stepConfig }) {
+  const { locale } = resolveLocale(userId, userAttributes);
+  const features = userFeatures(userId, userAttributes);
+  const combo = selectCombo(cohort, features, step, stepConfig, localeChain(locale));
+  if (!combo) {
+    log.info('SKIP', `Nothing to send ${userId} (${cohort}) - every arm is paused or retired`, { user_id: userId, cohort });
+    return { id: null, skipped: true, reason: 'no_active_arms' };
+  }
+
+  // Falling back happens before rendering: copy depends on the channel
+  const permitted = permittedChannel(userId, cohort, combo.channel);
+  const suppression = { user_id: userId, cohort, experiment_id: experimentId, channel: combo.channel, stage: 'schedule' };
+  if (!permitted.channel) {
+    recordSuppression({ ...suppression, experiment_id: null, action: 'blocked', reason: permitted.reason });
+    log.info('CONSENT', `Nothing to send ${userId} (${cohort}) - ${combo.channel} is ${permitted.reason} and no fallback is permitted`, {
+      user_id: userId,
+      cohort,
+      channel: combo.channel,
+      reason: permitted.reason
+    });
+    return { id: null, skipped: true, reason: 'no_permitted_channel' };
+  }
+  let channelFallback = null;
+  if (permitted.channel !== combo.channel) {
+    recordSuppression({ ...suppression, action: 'fallback', reason: permitted.reason, fallback_to: permitted.channel });
+    log.info('FALLBACK', `${userId} (${cohort}): ${combo.channel} is ${permitted.reason}, using ${permitted.channel}`, {
+      user_id: userId,
+      cohort,
+      experiment_id: experimentId,
+      channel: combo.channel,
+      fallback_to: permitted.channel,
+      reason: permitted.reason
+    });
+    channelFallback = { from: combo.channel, reason: permitted.reason };
+    combo.channel = permitted.channel;
+  }
+
+  const rendered = generateMessage(combo, userAttributes);
+  combo.locale = rendered.template?.locale || combo.locale;
+  const message = rendered.body;
+  const now = clock.iso();
+
+  const experiment = {
+    id: experimentId,
+    user_id: userId,
+    cohort,
+    arm: 'treatment',
+    sequence_id: sequenceId,
+    step,
+    timing: combo.timing,
+    channel: combo.channel,
+    channel_fallback: channelFallback,
+    lever: combo.lever,
+    offer: combo.offer,
+    tone: combo.tone,
+    locale: combo.locale,
+    template_id: rendered.template?.id ?? null,
+    template_version: rendered.template?.version ?? null,
+    title: rendered.title,
+    message,
+    message_truncated: rendered.truncated,
+    features,
+    created_at: now,
+    sent_at: null,
+    opened_at: null,
+    converted_at: null,
+    status: 'pending'
+  };
+
+  const timeZone = userTimeZone(userId, userAttributes);
+  const quietAt = applyQuietHours(computeSendAt(combo.timing, timeZone), timeZone, getPolicy().quiet_hours);
+  const sendAt = applySendWindow(quietAt, combo.channel);
+
+  const phone = userAttributes.phone || userAttributes.phone_number;
+
+  db.transaction(() => {
+    db.experiments.insert(experiment);
+    db.scheduled_messages.insert({
+      id: uuidv4(),
+      experiment_id: experimentId,
+      user_id: userId,
+      send_at: sendAt.toISOString(),
+      status: 'pending',
+      attempts: 0,
+      recipient: phone ? { phone } : null,
+      timezone: timeZone
+    });
+    if (sendAt > quietAt) {
+      recordSuppression({
+        ...suppression,
+        channel: combo.channel,
+        action: 'deferred',
+        reason: 'send_window',
+        send_at: sendAt.toISOString()
+      });
+    }
+  });
+  await db.write();
+
+  const label = sequenceId ? ` step ${step}` : '';
+  log.info('EXPERIMENT', `Created ${experimentId} for ${userId} (${cohort}${label}) - sending at ${sendAt.toISOString()}`, {
+    experiment_id: experimentId,
+    user_id: userId,
+    cohort,
+    sequence_id: sequenceId,
+    step,
+    combo_key: comboKeyOf(experiment),
+    send_at: sendAt.toISOString()
+  });
+  telemetry.experiments.inc({ cohort, arm: 'treatment' });
+  live.publish('experiment', {
+    experiment_id: experimentId,
+    user_id: userId,
+    cohort,
+    arm: 'treatment',
+    step,
+    combo_key: comboKeyOf(experiment),
+    send_at: sendAt.toISOString()
+  });
+  return { id: experimentId, arm: 'treatment', combo, message, sendAt };
+}
+
+// Fractional credit and revenue would otherwise pick up float noise
+const roundAmount = value => Math.round(value * 10000) / 10000;
+
+// outcome is 'sent' or 'converted'. A conversion only adds its
+// attribution credit to converted_count, and its revenue share to
+// revenue - the send was already counted when it went out. Callers run
+// it inside db.transaction, so no other replica's counts are overwritten.
+function updateComboStats(experiment, outcome, { credit = 1, revenue = 0 } = {}) {
+  const comboKey = comboKeyOf(experiment);
+  const now = clock.iso();
+
+  let stats = db.combo_stats.get(comboKey);
+  if (!stats) {
+    stats = {
+      combo_key: comboKey,
+      timing: experiment.timing,
+      channel: experiment.channel,
+      lever: experiment.lever,
+      offer: experiment.offer,
+      sent_count: 0,
+      converted_count: 0,
+      revenue: 0
+    };
+  }
+
+  const step = experiment.step || 1;
+
+  let arm = db.arm_stats.get(statsKey(experiment.cohort, step, comboKey));
+  if (!arm) {
+    arm = {
+      id: statsKey(experiment.cohort, step, comboKey),
+      cohort: experiment.cohort,
+      step,
+      combo_key: comboKey,
+      timing: experiment.timing,
+      channel: experiment.channel,
+      lever: experiment.lever,
+      offer: experiment.offer,
+      sent_count: 0,
+      converted_count: 0,
+      revenue: 0
+    };
+  }
+
+  const cells = dimensionCells(experiment).map(({ dimension, value }) => {
+    const id = statsKey(experiment.cohort, step, dimension, value);
+    let row = db.dimension_stats.get(id);
+    if (!row) {
+      row = {
+        id,
+        cohort: experiment.cohort,
+        step,
+        dimension,
+        value,
+        sent_count: 0,
+        converted_count: 0,
+        revenue: 0
+      };
+    }
+    return row;
+  });
+
+  const contexts = Object.entries(experiment.features || {}).map(([feature, value]) => {
+    const id = statsKey(experiment.cohort, step, comboKey, feature, value);
+    let row = db.context_stats.get(id);
+    if (!row) {
+      row = {
+        id,
+        cohort: experiment.cohort,
+        step,
+        combo_key: comboKey,
+        feature,
+        value,
+        sent_count: 0,
+        converted_count: 0,
+        revenue: 0
+      };
+    }
+    return row;
+  });
+
+  for (const row of [stats, arm, ...cells, ...contexts]) {
+    if (outcome === 'sent') row.sent_count += 1;
+    if (outcome === 'converted') {
+      row.converted_count = roundAmount(row.converted_count + credit);
+      row.revenue = roundAmount((row.revenue || 0) + revenue);
+    }
+    row.last_updated = now;
+  }
+  db.combo_stats.save(stats);
+  db.arm_stats.save(arm);
+  for (const row of cells) db.dimension_stats.save(row);
+  for (const row of contexts) db.context_stats.save(row);
+}
+
+// ============================================
+// JOB: Scheduled sends (see JOB RUNNER)
+// ============================================
+// A message left 'sending' by a replica that died mid-send is due again
+// once its lease has run out; the provider gets the same idempotency key.
+function staleSendCutoff(now) {
+  return new Date(Date.parse(now) - jobConfig.lease_ms).toISOString();
+}
+
+function isDueMessage(msg, now) {
+  if (msg.status === 'pending') return msg.send_at <= now;
+  return msg.status === 'sending' && msg.last_attempt_at < staleSendCutoff(now);
+}
+
+function dueMessages(now, limit) {
+  const stale = db.scheduled_messages.find({ status: 'sending' }).filter(msg => isDueMessage(msg, now));
+  const pending = db.scheduled_messages.find(
+    { status: 'pending', send_at: { lte: now } },
+    { orderBy: ['send_at', 'asc'], limit }
+  );
+  return [...stale, ...pending].slice(0, limit);
+}
+
+const messageDueAt = msg => (msg.status === 'sending' ? msg.last_attempt_at : msg.send_at);
+
+async function sendScheduledMessage({ id }) {
+  const msg = db.scheduled_messages.get(id);
+  if (!msg || !isDueMessage(msg, clock.iso())) return 'skipped';
+
+  const experiment = db.experiments.get(msg.experiment_id);
+  if (!experiment) return 'skipped';
+
+  // Conversion may have been credited to another experiment of this user
+  const convertedSince = db.experiments.count({
+    user_id: msg.user_id,
+    converted_at: { gte: experiment.created_at }
+  }) > 0;
+  if (convertedSince) {
+    if (msg.status === 'sending') cancelMessage(msg, experiment, 'converted');
+    cancelPendingMessages(msg.user_id, 'converted');
+    return 'skipped';
+  }
+
+  return deliverMessage(msg, experiment);
+}
+
+async function sendDueMessages() {
+  for (const msg of dueMessages(clock.iso(), jobConfig.batch_size)) {
+    await sendScheduledMessage(msg);
+  }
+  await db.write();
+}
+
+// One send attempt. Only a successful send counts towards combo stats;
+// failures are retried with exponential backoff and dead-lettered after
+// SEND_MAX_ATTEMPTS or on a non-retryable error. Returns 'failed' when
+// the attempt did not go out.
+async function deliverMessage(msg, experiment) {
+  const policy = getPolicy();
+
+  // Consent can change between scheduling and sending
+  const permitted = permittedChannel(msg.user_id, experiment.cohort, experiment.channel);
+  if (!permitted.channel) {
+    cancelMessage(msg, experiment, permitted.reason);
+    recordSuppression({
+      user_id: msg.user_id,
+      cohort: experiment.cohort,
+      experiment_id: experiment.id,
+      channel: experiment.channel,
+      stage: 'send',
+      action: 'blocked',
+      reason: permitted.reason
+    });
+    log.info('CONSENT', `Not sending ${msg.experiment_id} to ${msg.user_id} - ${experiment.channel} is ${permitted.reason} and no fallback is permitted`, {
+      experiment_id: msg.experiment_id,
+      user_id: msg.user_id,
+      channel: experiment.channel,
+      reason: permitted.reason
+    });
+    if (experiment.sequence_id) await advanceSequence(experiment);
+    return;
+  }
+  if (permitted.channel !== experiment.channel) switchChannel(experiment, permitted);
+
+  // Retries, policy edits and fallbacks can land a send inside quiet
+  // hours or outside the channel's send window
+  const quietUntil = applyQuietHours(clock.now(), msg.timezone || policy.default_timezone, policy.quiet_hours);
+  const allowedAt = applySendWindow(quietUntil, experiment.channel);
+  if (allowedAt > clock.now()) {
+    const reason = allowedAt > quietUntil ? 'send_window' : 'quiet_hours';
+    msg.status = 'pending';
+    msg.send_at = allowedAt.toISOString();
+    db.scheduled_messages.save(msg);
+    if (reason === 'send_window') {
+      recordSuppression({
+        user_id: msg.user_id,
+        cohort: experiment.cohort,
+        experiment_id: experiment.id,
+        channel: experiment.channel,
+        stage: 'send',
+        action: 'deferred',
+        reason,
+        send_at: msg.send_at
+      });
+    }
+    log.info('DEFERRED', `${msg.experiment_id} to ${msg.send_at} (${reason.replace('_', ' ')})`, {
+      experiment_id: msg.experiment_id,
+      user_id: msg.user_id,
+      send_at: msg.send_at,
+      reason
+    });
+    telemetry.sends.inc({ channel: experiment.channel, outcome: 'deferred' });
+    return;
+  }
+
+  const sends = db.experiments.find({ user_id: msg.user_id, sent_at: { ne: null } });
+  const cap = capExceeded(sends, experiment.channel, policy.caps, clock.now());
+  if (cap) {
+    cancelMessage(msg, experiment, 'frequency_capped');
+    log.info('CAPPED', `${msg.experiment_id} for ${msg.user_id}: ${cap.count}/${cap.limit} ${cap.scope} sends per ${cap.window}`, {
+      experiment_id: msg.experiment_id,
+      user_id: msg.user_id,
+      channel: experiment.channel
+    });
+    if (experiment.sequence_id) await advanceSequence(experiment);
+    return;
+  }
+
+  // A replay learns from its sends but never makes them
+  const provider = replayMode ? replayProvider : providers.forChannel(experiment.channel);
+
+  // Claimed so a slow provider call is not picked up again by the next tick
+  msg.status = 'sending';
+  msg.attempts = (msg.attempts || 0) + 1;
+  msg.last_attempt_at = clock.iso();
+  msg.provider = provider.name;
+  db.scheduled_messages.save(msg);
+
+  let result;
+  const started = process.hrtime.bigint();
+  try {
+    result = await provider.send({
+      userId: msg.user_id,
+      channel: experiment.channel,
+      message: experiment.message,
+      title: experiment.title || null,
+      experimentId: experiment.id,
+      deepLink: deepLinkFor(experiment.id),
+      recipient: msg.recipient || null,
+      idempotencyKey: msg.id
+    });
+  } catch (error) {
+    result = { success: false, retryable: true, error: error.message };
+  }
+  recordProviderCall(provider, experiment.channel, result, Number(process.hrtime.bigint() - started) / 1e9);
+
+  if (result.success) {
+    msg.status = 'sent';
+    msg.provider_response = result.data ?? null;
+    msg.last_error = null;
+    experiment.sent_at = clock.iso();
+    experiment.status = 'sent';
+
+    db.transaction(() => {
+      db.scheduled_messages.save(msg);
+      db.experiments.save(experiment);
+      updateComboStats(experiment, 'sent');
+    });
+
+    log.info('SENT', `${msg.experiment_id} to ${msg.user_id} via ${experiment.channel} (${provider.name})`, {
+      experiment_id: msg.experiment_id,
+      user_id: msg.user_id,
+      cohort: experiment.cohort,
+      channel: experiment.channel,
+      provider: provider.name,
+      attempt: msg.attempts
+    });
+    telemetry.sends.inc({ channel: experiment.channel, outcome: 'sent' });
+    live.publish('send', {
+      experiment_id: experiment.id,
+      user_id: msg.user_id,
+      cohort: experiment.cohort,
+      channel: experiment.channel,
+      provider: provider.name,
+      combo_key: comboKeyOf(experiment)
+    });
+
+    if (experiment.sequence_id) await advanceSequence(experiment);
+    return;
+  }
+
+  msg.last_error = result.error;
+
+  if (result.retryable && msg.attempts < SEND_MAX_ATTEMPTS) {
+    msg.status = 'pending';
+    msg.send_at = new Date(clock.ms() + retryDelay(msg.attempts)).toISOString();
+    db.scheduled_messages.save(msg);
+    log.warn('RETRY', `${msg.experiment_id} attempt ${msg.attempts} via ${provider.name} failed: ${result.error} - retrying at ${msg.send_at}`, {
+      experiment_id: msg.experiment_id,
+      user_id: msg.user_id,
+      channel: experiment.channel,
+      provider: provider.name,
+      attempt: msg.attempts,
+      error: result.error
+    });
+    telemetry.sends.inc({ channel: experiment.channel, outcome: 'retry' });
+    return 'failed';
+  }
+
+  msg.status = 'failed';
+  msg.failed_at = clock.iso();
+  experiment.status = 'failed';
+  experiment.failed_at = msg.failed_at;
+  experiment.failure_reason = result.error;
+  db.transaction(() => {
+    db.scheduled_messages.save(msg);
+    db.experiments.save(experiment);
+  });
+  log.error('DEAD-LETTER', `${msg.experiment_id} after ${msg.attempts} attempt(s) via ${provider.name}: ${result.error}`, {
+    experiment_id: msg.experiment_id,
+    user_id: msg.user_id,
+    channel: experiment.channel,
+    provider: provider.name,
+    attempt: msg.attempts,
+    error: result.error
+  });
+  telemetry.sends.inc({ channel: experiment.channel, outcome: 'dead_letter' });
+  live.publish('send_failed', {
+    experiment_id: experiment.id,
+    user_id: msg.user_id,
+    cohort: experiment.cohort,
+    channel: experiment.channel,
+    provider: provider.name,
+    error: result.error
+  });
+
+  // A sequence carries on with its next step, which may use another channel
+  if (experiment.sequence_id) await advanceSequence(experiment);
+  return 'failed';
+}
+
+// ============================================
+// JOB RUNNER (lib/jobs.js)
+// ============================================
+// Journey checks and sends are claimed one item at a time through leases
+// in the job_leases collection, so replicas sharing a SQLite file never
+// handle the same item twice. JOBS_ENABLED=false runs a replica that only
+// serves HTTP.
+const jobConfig = {
+  interval_ms: Math.round((parseFloat(process.env.JOBS_TICK_SECONDS) || defaultJobConfig.interval_ms / 1000) * 1000),
+  batch_size: parseInt(process.env.JOBS_BATCH_SIZE) || defaultJobConfig.batch_size,
+  lease_ms: Math.round((parseFloat(process.env.JOBS_LEASE_SECONDS) || defaultJobConfig.lease_ms / 1000) * 1000)
+};
+
+const jobConfigErrors = validateJobConfig(jobConfig);
+if (jobConfigErrors.length > 0) {
+  throw new Error(`Invalid job config in env: ${jobConfigErrors.join('; ')}`);
+}
+
+const jobsEnabled = !replayMode && process.env.JOBS_ENABLED !== 'false';
+
+// Taken if free, expired or already ours. SQLite transactions are
+// IMMEDIATE, so two replicas cannot both read a lease as free.
+function claimLease(id, owner, ms) {
+  return db.transaction(() => {
+    const now = clock.iso();
+    const lease = db.job_leases.get(id);
+    if (lease && lease.owner !== owner && lease.expires_at > now) return false;
+    db.job_leases.save({ id, owner, claimed_at: now, expires_at: new Date(clock.ms() + ms).toISOString() });
+    return true;
+  });
+}
+
+function releaseLease(id, owner) {
+  db.transaction(() => {
+    if (db.job_leases.get(id)?.owner === owner) db.job_leases.remove({ id });
+  });
+}
+
+const jobs = createJobRunner({
+  owner: `${hostname()}:${process.pid}`,
+  leases: { claim: claimLease, release: releaseLease },
+  now: () => clock.ms(),
+  log
+});
+
+jobs.register('journey_checks', {
+  config: jobConfig,
+  due: (now, limit) => {
+    syncStore();
+    return dueJourneys(now, limit);
+  },
+  key: journey => journey.id,
+  dueAt: journey => journey.check_at,
+  run: journey => log.withContext(
+    { job: 'journey_checks', journey_id: journey.id, user_id: journey.user_id },
+    () => checkJourney(journey)
+  ),
+  afterBatch: async () => {
+    pruneExpired();
+    await db.write();
+  }
+});
+
+jobs.register('scheduled_sends', {
+  config: jobConfig,
+  due: (now, limit) => {
+    syncStore();
+    return dueMessages(now, limit);
+  },
+  key: msg => msg.id,
+  dueAt: messageDueAt,
+  run: msg => log.withContext(
+    { job: 'scheduled_sends', message_id: msg.id, experiment_id: msg.experiment_id, user_id: msg.user_id },
+    () => sendScheduledMessage(msg)
+  ),
+  afterBatch: () => db.write()
+});
+
+// Per job: ticks, processed / skipped / failed items, lag of the oldest
+// due item, throughput over the last 15 minutes
+app.get('/api/jobs', async (req, res) => {
+  res.json({ owner: jobs.owner, enabled: jobsEnabled, running: jobs.running, jobs: await jobs.metrics() });
+});
+
+// ============================================
+// METRICS & READINESS
+// ============================================
+// Provider health as this replica has seen it. A run of failures worth
+// retrying (timeouts, 429, 5xx) means the provider is in trouble; a
+// rejected message (other 4xx) says nothing about it.
+const READY_PROVIDER_FAILURES = parseInt(process.env.READY_PROVIDER_FAILURES) || 5;
+const providerHealth = new Map();
+
+function recordProviderCall(provider, channel, result, seconds) {
+  telemetry.providerLatency.observe(
+    { provider: provider.name, channel, outcome: result.success ? 'success' : 'failure' },
+    seconds
+  );
+
+  const health = providerHealth.get(provider.name) ||
+    { consecutive_failures: 0, last_success_at: null, last_failure_at: null, last_error: null };
+  if (result.success) {
+    health.consecutive_failures = 0;
+    health.last_success_at = clock.iso();
+  } else if (result.retryable) {
+    health.consecutive_failures++;
+    health.last_failure_at = clock.iso();
+    health.last_error = result.error;
+  }
+  providerHealth.set(provider.name, health);
+}
+
+// Ready to take traffic: not shutting down, the store can be written to
+// and its last write went through, every channel's provider is configured
+// and has not failed READY_PROVIDER_FAILURES sends in a row, and the job
+// runner is running (unless JOBS_ENABLED=false). Degraded: ready, but a
+// channel only reaches the mock provider in production.
+async function readiness() {
+  let storage;
+  try {
+    await db.ping();
+    storage = { ok: !db.writes.last_error, driver: db.driver, ...db.writes };
+  } catch (error) {
+    storage = { ok: false, driver: db.driver, ...db.writes, error: error.message };
+  }
+
+  const channels = Object.fromEntries(Object.entries(providers.describe()).map(([channel, { provider, configured }]) => {
+    const health = providerHealth.get(provider) || { consecutive_failures: 0 };
+    const ok = configured && health.consecutive_failures < READY_PROVIDER_FAILURES;
+    const degraded = mockInProduction(provider);
+    return [channel, {
+      ok,
+      provider,
+      configured,
+      degraded,
+      ...(degraded && { warning: 'mock provider in production: sends are recorded, not delivered' }),
+      ...health
+    }];
+  }));
+
+  const checks = {
+    storage,
+    providers: channels,
+    jobs: { ok: !jobsEnabled || jobs.running, enabled: jobsEnabled, running: jobs.running },
+    shutdown: { ok: !shuttingDown }
+  };
+  return {
+    ready: storage.ok && checks.jobs.ok && checks.shutdown.ok && Object.values(channels).every(c => c.ok),
+    degraded: Object.values(channels).some(c => c.degraded),
+    checks
+  };
+}
+
+metrics.gauge('engine_queue_depth', 'Journey checks and scheduled messages waiting', ['queue', 'state'], set => {
+  const { journeys, messages } = queueDepth();
+  set({ queue: 'journeys', state: 'pending' }, journeys.pending);
+  set({ queue: 'journeys', state: 'overdue' }, journeys.overdue);
+  set({ queue: 'messages', state: 'pending' }, messages.pending);
+  set({ queue: 'messages', state: 'overdue' }, messages.overdue);
+  set({ queue: 'messages', state: 'sending' }, messages.sending);
+});
+
+metrics.counter('engine_job_items_total', 'Job items handled by this replica', ['job', 'outcome'], async set => {
+  for (const [job, m] of Object.entries(await jobs.metrics())) {
+    for (const outcome of ['processed', 'skipped', 'failed']) set({ job, outcome }, m[outcome]);
+  }
+});
+
+metrics.gauge('engine_job_lag_seconds', 'How long the oldest due item of each job has waited', ['job'], async set => {
+  for (const [job, m] of Object.entries(await jobs.metrics())) set({ job }, m.lag_ms / 1000);
+});
+
+metrics.gauge('engine_ready', '1 when the check passes (see /ready)', ['check'], async set => {
+  const { ready, checks } = await readiness();
+  set({ check: 'all' }, Number(ready));
+  set({ check: 'storage' }, Number(checks.storage.ok));
+  for (const [channel, check] of Object.entries(checks.providers)) {
+    set({ check: `provider_${channel}` }, Number(check.ok && !check.degraded));
+  }
+});
+
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], set => {
+  set({}, process.memoryUsage().rss);
+});
+
+metrics.gauge('process_start_time_seconds', 'Start time of the process since the epoch, in seconds', [], set => {
+  set({}, Math.round(Date.now() / 1000 - process.uptime()));
+});
+
+// Prometheus scrape target
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(await metrics.render());
+});
+
+// 503 while any check fails, with every check's detail either way
+app.get('/ready', async (req, res) => {
+  const { ready, degraded, checks } = await readiness();
+  const status = !ready ? 'not_ready' : degraded ? 'degraded' : 'ready';
+  res.status(ready ? 200 : 503).json({ status, timestamp: new Date().toISOString(), checks });
+});
+
+// ============================================
+// STATISTICAL READOUTS
+// ============================================
+// All rates in responses are percentages rounded to 2 decimals.
+function readoutOptions(query = {}) {
+  const num = (value, fallback, min, max) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > min && n < max ? n : fallback;
+  };
+  return {
+    level: num(query.level, 0.95, 0, 1),
+    alpha: num(query.alpha, 0.05, 0, 1),
+    power: num(query.power, 0.8, 0, 1),
+    mde: num(query.mde, 0.2, 0, Infinity)
+  };
+}
+
+function percent(rate) {
+  return Math.round(rate * 10000) / 100;
+}
+
+function percentInterval({ low, high }) {
+  return { low: percent(low), high: percent(high) };
+}
+
+// Each row is compared with the pooled rest of the rows passed in. The
+// significance threshold is Bonferroni-corrected for the number of rows.
+function describeArms(rows, options) {
+  const totals = rows.reduce((acc, r) => ({
+    sent: acc.sent + r.sent_count,
+    converted: acc.converted + r.converted_count
+  }), { sent: 0, converted: 0 });
+  const threshold = options.alpha / Math.max(rows.length, 1);
+
+  return rows.map(({ id: _id, ...row }) => {
+    const restSent = totals.sent - row.sent_count;
+    const restConverted = totals.converted - row.converted_count;
+    const rate = row.converted_count / row.sent_count;
+    const restRate = restSent > 0 ? restConverted / restSent : null;
+    const test = twoProportionTest(row.converted_count, row.sent_count, restConverted, restSent);
+    const mde = restRate !== null ? minimumDetectableEffect(restRate, row.sent_count, options.alpha, options.power) : null;
+
+    return {
+      ...row,
+      cvr: percent(rate),
+      cvr_ci: percentInterval(wilsonInterval(row.converted_count, row.sent_count, options.level)),
+      credible_interval: percentInterval(credibleInterval(row.converted_count, row.sent_count, options.level)),
+      baseline_cvr: restRate !== null ? percent(restRate) : null,
+      lift: restRate !== null ? percent(rate - restRate) : null,
+      p_value: test ? test.p_value : null,
+      significant: test ? test.p_value < threshold : false,
+      prob_beats_baseline: restSent > 0
+        ? probabilityToBeat(row.converted_count, row.sent_count, restConverted, restSent)
+        : null,
+      detectable_lift: mde !== null ? percent(mde) : null,
+      revenue: row.revenue || 0,
+      revenue_per_send: roundAmount((row.revenue || 0) / row.sent_count)
+    };
+  });
+}
+
+// A converted experiment counts its attribution credit (1 before
+// attribution models existed) and its share of the revenue
+function addOutcome(row, experiment) {
+  row.sent_count++;
+  if (experiment.status === 'converted') {
+    row.converted_count = roundAmount(row.converted_count + (experiment.attribution_credit ?? 1));
+    row.revenue = roundAmount(row.revenue + (experiment.revenue || 0));
+  }
+}
+
+// Sent / converted per locale, each compared with the other locales
+function localeBreakdown(experiments, options) {
+  const rows = {};
+  for (const e of experiments) {
+    if (!e.locale || !SENT_STATUSES.includes(e.status)) continue;
+    addOutcome(rows[e.locale] ||= { locale: e.locale, sent_count: 0, converted_count: 0, revenue: 0 }, e);
+  }
+  return describeArms(Object.values(rows), options).sort((a, b) => b.cvr - a.cvr);
+}
+
+// Sent / converted per value of every feature the experiments recorded
+// (lib/contextual.js), each value compared with the feature's others
+function segmentBreakdown(experiments, options) {
+  const rows = {};
+  for (const e of experiments) {
+    if (!SENT_STATUSES.includes(e.status)) continue;
+    for (const [feature, value] of Object.entries(e.features || {})) {
+      const values = rows[feature] ||= {};
+      addOutcome(values[value] ||= { value, sent_count: 0, converted_count: 0, revenue: 0 }, e);
+    }
+  }
+  return Object.fromEntries(Object.entries(rows).map(([feature, values]) => [
+    feature,
+    describeArms(Object.values(values), options).sort((a, b) => b.sent_count - a.sent_count)
+  ]));
+}
+
+// sent → delivered → opened → clicked → converted per combo. Each stage
+// counts experiments that reached it or any later stage; rates are
+// relative to sends.
+function comboFunnels(experiments) {
+  const funnels = {};
+
+  for (const e of experiments) {
+    if (!reachedStatus(e, 'sent') && e.status !== 'failed') continue;
+
+    const key = comboKeyOf(e);
+    const f = funnels[key] ||= {
+      combo_key: key, sent: 0, failed: 0, delivered: 0, opened: 0, clicked: 0, converted: 0
+    };
+
+    f.sent++;
+    if (e.status === 'failed') f.failed++;
+    for (const stage of ['delivered', 'opened', 'clicked', 'converted']) {
+      if (reachedStatus(e, stage)) f[stage]++;
+    }
+  }
+
+  return Object.values(funnels)
+    .map(f => ({
+      ...f,
+      delivery_rate: percent(f.delivered / f.sent),
+      open_rate: percent(f.opened / f.sent),
+      click_rate: percent(f.clicked / f.sent),
+      cvr: percent(f.converted / f.sent)
+    }))
+    .sort((a, b) => b.sent - a.sent);
+}
+
+// Intent to treat, per user: everyone assigned to the cohort, in the arm
+// of their first experiment there (later sequence steps are the same
+// user), converted if they converted within the cohort's attribution
+// window of being assigned - whether their message went out, failed, was
+// capped or was cancelled because they converted first
+function cohortLift(cohort, options) {
+  const assignments = new Map();
+  for (const e of db.experiments.find({ cohort }, { orderBy: ['created_at', 'asc'] })) {
+    if (!assignments.has(e.user_id)) assignments.set(e.user_id, e);
+  }
+  // Experiments from before itt_converted_at only know their own conversion
+  const converted = e => Boolean(e.itt_converted_at || e.converted_at);
+
+  const count = (rows) => ({
+    users: rows.length,
+    converted: rows.filter(converted).length
+  });
+  const firsts = [...assignments.values()];
+  const c = count(firsts.filter(e => e.arm === 'control'));
+  const t = count(firsts.filter(e => e.arm !== 'control'));
+
+  const controlRate = c.users > 0 ? c.converted / c.users : null;
+  const treatedRate = t.users > 0 ? t.converted / t.users : null;
+  const test = twoProportionTest(t.converted, t.users, c.converted, c.users);
+
+  const combos = controlRate === null ? [] : db.arm_stats.find({ cohort })
+    .filter(a => a.sent_count > 0)
+    .map(a => {
+      const rate = a.converted_count / a.sent_count;
+      const comboTest = twoProportionTest(a.converted_count, a.sent_count, c.converted, c.users);
+      return {
+        combo_key: a.combo_key,
+        step: a.step || 1,
+        sent_count: a.sent_count,
+        converted_count: a.converted_count,
+        cvr: percent(rate),
+        lift: percent(rate - controlRate),
+        relative_lift: controlRate > 0 ? rate / controlRate - 1 : null,
+        incremental_conversions: Math.round((rate - controlRate) * a.sent_count * 100) / 100,
+        p_value: comboTest ? comboTest.p_value : null
+      };
+    })
+    .sort((a, b) => b.lift - a.lift);
+
+  return {
+    cohort,
+    holdout_percent: getHoldoutPercent(cohort),
+    control: { ...c, cvr: controlRate !== null ? percent(controlRate) : null },
+    treatment: { ...t, cvr: treatedRate !== null ? percent(treatedRate) : null },
+    lift: controlRate !== null && treatedRate !== null ? percent(treatedRate - controlRate) : null,
+    relative_lift: controlRate > 0 && treatedRate !== null ? treatedRate / controlRate - 1 : null,
+    incremental_conversions: controlRate !== null && treatedRate !== null
+      ? Math.round((treatedRate - controlRate) * t.users * 100) / 100
+      : null,
+    p_value: test ? test.p_value : null,
+    significant: test ? test.p_value < options.alpha : false,
+    combos
+  };
+}
+
+// ============================================
+// API ENDPOINTS
+// ============================================
+// Liveness only: the process is up and serving. Load balancers and
+// deploys should use /ready, which checks storage and providers.
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+app.get('/api/stats', (req, res) => {
+  const experiments = db.experiments.find({ arm: { ne: 'control' } });
+  const total = experiments.length;
+  const converted = experiments.filter(e => e.status === 'converted').length;
+  const opened = experiments.filter(e => reachedStatus(e, 'opened')).length;
+  const sent = experiments.filter(e => reachedStatus(e, 'sent')).length;
+
+  // Rank by the conservative end of the interval so a 2/5 combo cannot
+  // outrank 300/2000 on luck alone
+  const options = readoutOptions(req.query);
+  const described = describeArms(db.combo_stats.find({ sent_count: { gte: 5 } }), options);
+
+  const topCombos = [...described]
+    .sort((a, b) => b.cvr_ci.low - a.cvr_ci.low)
+    .slice(0, 10);
+
+  const worstCombos = [...described]
+    .sort((a, b) => a.cvr_ci.high - b.cvr_ci.high)
+    .slice(0, 5);
+
+  const revenueCombos = [...described]
+    .sort((a, b) => b.revenue_per_send - a.revenue_per_send)
+    .slice(0, 10);
+  const revenue = roundAmount(experiments.reduce((sum, e) => sum + (e.revenue || 0), 0));
+
+  const pendingJourneys = db.user_journey.count({ checked: false });
+
+  const suppressedByReason = {};
+  for (const msg of db.scheduled_messages.find({ status: 'cancelled' })) {
+    const reason = msg.cancel_reason || 'unknown';
+    suppressedByReason[reason] = (suppressedByReason[reason] || 0) + 1;
+  }
+
+  res.json({
+    summary: {
+      total_experiments: total,
+      total_sent: sent,
+      total_delivered: experiments.filter(e => reachedStatus(e, 'delivered')).length,
+      total_opened: opened,
+      total_clicked: experiments.filter(e => reachedStatus(e, 'clicked')).length,
+      total_converted: converted,
+      total_failed: experiments.filter(e => e.status === 'failed').length,
+      overall_cvr: sent > 0 ? (converted / sent * 100).toFixed(2) + '%' : '0%',
+      total_revenue: revenue,
+      revenue_per_send: sent > 0 ? roundAmount(revenue / sent) : 0,
+      attribution_model: getAttributionConfig().model,
+      pending_abandonment_checks: pendingJourneys,
+      total_holdout: db.experiments.count({ arm: 'control' }),
+      total_suppressed: Object.values(suppressedByReason).reduce((a, b) => a + b, 0),
+      suppressed_by_reason: suppressedByReason
+    },
+    top_combinations: topCombos,
+    top_combinations_by_revenue: revenueCombos,
+    worst_combinations: worstCombos,
+    funnel_by_combo: comboFunnels(experiments),
+    by_locale: localeBreakdown(experiments, options),
+    by_segment: segmentBreakdown(experiments, options)
+  });
+});
+
+// Per-cohort experiment readout: every arm against the rest of its cohort,
+// ranked by the low end of the CVR interval or by revenue per send
+// GET /api/cohorts/:cohort/readout?alpha=0.05&power=0.8&mde=0.2&step=1&rank_by=cvr|revenue
+app.get('/api/cohorts/:cohort/readout', (req, res) => {
+  const { cohort } = req.params;
+  if (!getCohortIntelligence()[cohort]) {
+    return res.status(404).json({ error: `Unknown cohort: ${cohort}` });
+  }
+
+  const options = readoutOptions(req.query);
+  const step = parseInt(req.query.step) || 1;
+  const arms = db.arm_stats.find({ cohort }).filter(a => isStep(a, step) && a.sent_count > 0);
+  const experiments = db.experiments.find({ cohort, arm: { ne: 'control' } }).filter(e => isStep(e, step));
+  const baseline = cohortBaseline(cohort, step);
+  const baselineRate = baseline.sent > 0 ? baseline.converted / baseline.sent : 0;
+  const targetRate = Math.min(baselineRate * (1 + options.mde), 1);
+  const sendsNeeded = baselineRate > 0 ? sampleSizePerArm(baselineRate, targetRate, options.alpha, options.power) : null;
+
+  const described = describeArms(arms, options)
+    .map(arm => ({
+      ...arm,
+      verdict: arm.significant
+        ? (arm.lift > 0 ? 'winner' : 'loser')
+        : (sendsNeeded !== null && arm.sent_count < sendsNeeded ? 'needs_more_data' : 'no_difference')
+    }))
+    .sort(req.query.rank_by === 'revenue'
+      ? (a, b) => b.revenue_per_send - a.revenue_per_send
+      : (a, b) => b.cvr_ci.low - a.cvr_ci.low);
+
+  res.json({
+    cohort,
+    step,
+    options,
+    baseline: {
+      sent_count: baseline.sent,
+      converted_count: baseline.converted,
+      cvr: percent(baselineRate),
+      cvr_ci: percentInterval(wilsonInterval(baseline.converted, baseline.sent, options.level))
+    },
+    sample_size: {
+      relative_mde: options.mde,
+      sends_per_arm_needed: sendsNeeded,
+      arms_with_enough_data: sendsNeeded === null ? 0 : arms.filter(a => a.sent_count >= sendsNeeded).length
+    },
+    arms: described,
+    by_locale: localeBreakdown(experiments, options),
+    by_segment: segmentBreakdown(experiments, options)
+  });
+});
+
+// Arms within each segment (feature value) of a cohort, each against the
+// rest of that segment, best first:
+// GET /api/cohorts/:cohort/segments?feature=platform&step=1&limit=5
+app.get('/api/cohorts/:cohort/segments', (req, res) => {
+  const { cohort } = req.params;
+  if (!getCohortIntelligence()[cohort]) {
+    return res.status(404).json({ error: `Unknown cohort: ${cohort}` });
+  }
+
+  const options = readoutOptions(req.query);
+  const step = parseInt(req.query.step) || 1;
+  const limit = Math.max(parseInt(req.query.limit) || 5, 1);
+  const rows = db.context_stats.find({ cohort }).filter(c =>
+    isStep(c, step) && c.sent_count > 0 && (!req.query.feature || c.feature === req.query.feature)
+  );
+
+  const segments = {};
+  for (const row of rows) {
+    const feature = segments[row.feature] ||= {};
+    (feature[row.value] ||= []).push(row);
+  }
+
+  res.json({
+    cohort,
+    step,
+    mode: getBanditConfig(cohort).mode,
+    features: Object.fromEntries(Object.entries(segments).map(([feature, values]) => [
+      feature,
+      Object.entries(values).map(([value, arms]) => ({
+        value,
+        sent_count: arms.reduce((n, a) => n + a.sent_count, 0),
+        converted_count: roundAmount(arms.reduce((n, a) => n + a.converted_count, 0)),
+        revenue: roundAmount(arms.reduce((n, a) => n + (a.revenue || 0), 0)),
+        arms: describeArms(arms, options)
+          .sort((a, b) => b.cvr_ci.low - a.cvr_ci.low)
+          .slice(0, limit)
+          .map(({ cohort: _cohort, feature: _feature, value: _value, ...arm }) => arm)
+      })).sort((a, b) => b.sent_count - a.sent_count)
+    ]))
+  });
+});
+
+// Holdout lift per cohort and per combo
+app.get('/api/holdout', (req, res) => {
+  const options = readoutOptions(req.query);
+  const cohorts = req.query.cohort ? [req.query.cohort] : cohortNames();
+  res.json(cohorts.map(cohort => cohortLift(cohort, options)));
+});
+
+// Body: { percent, cohort? }
+app.put('/api/holdout/config', async (req, res) => {
+  const { cohort, percent: holdout } = req.body;
+  if (cohort && !getCohortIntelligence()[cohort]) {
+    return res.status(400).json({ error: `Unknown cohort: ${cohort}` });
+  }
+  if (!(typeof holdout === 'number' && holdout >= 0 && holdout <= 100)) {
+    return res.status(400).json({ error: 'percent must be a number between 0 and 100' });
+  }
+
+  const before = structuredClone(db.data.holdout_config);
+  if (cohort) {
+    db.data.holdout_config.cohorts ||= {};
+    db.data.holdout_config.cohorts[cohort] = holdout;
+  } else {
+    db.data.holdout_config.percent = holdout;
+  }
+  audit(req, 'holdout_config.update', 'holdout_config', before, db.data.holdout_config);
+  await db.write();
+
+  res.json({ success: true, cohort: cohort || null, percent: getHoldoutPercent(cohort) });
+});
+
+// ============================================
+// EVENT RULES API
+// ============================================
+app.get('/api/rules', (req, res) => {
+  res.json([...getRules()].sort((a, b) => b.priority - a.priority));
+});
+
+app.get('/api/rules/:id', (req, res) => {
+  const rule = getRules().find(r => r.id === req.params.id);
+  if (!rule) return res.status(404).json({ error: `Unknown rule: ${req.params.id}` });
+  res.json(rule);
+});
+
+app.post('/api/rules', async (req, res) => {
+  const rule = normalizeRule(req.body);
+  const errors = validateRule(rule);
+  if (getRules().some(r => r.id === rule.id)) errors.push(`rule ${rule.id} already exists`);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  getRules().push(rule);
+  audit(req, 'rule.create', `rule:${rule.id}`, null, rule);
+  await db.write();
+
+  log.info('RULES', `Created ${rule.id}`, { rule_id: rule.id });
+  res.status(201).json(rule);
+});
+
+// Partial update: fields not in the body keep their current value
+app.put('/api/rules/:id', async (req, res) => {
+  const rules = getRules();
+  const index = rules.findIndex(r => r.id === req.params.id);
+  if (index === -1) return res.status(404).json({ error: `Unknown rule: ${req.params.id}` });
+
+  const rule = normalizeRule({ ...rules[index], ...req.body, id: req.params.id });
+  const errors = validateRule(rule);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  audit(req, 'rule.update', `rule:${rule.id}`, rules[index], rule);
+  rules[index] = rule;
+  await db.write();
+
+  log.info('RULES', `Updated ${rule.id}`, { rule_id: rule.id });
+  res.json(rule);
+});
+
+// Pending journeys of a deleted rule are closed as rule_disabled by the journey job
+app.delete('/api/rules/:id', async (req, res) => {
+  const rules = getRules();
+  const index = rules.findIndex(r => r.id === req.params.id);
+  if (index === -1) return res.status(404).json({ error: `Unknown rule: ${req.params.id}` });
+
+  const [removed] = rules.splice(index, 1);
+  audit(req, 'rule.delete', `rule:${removed.id}`, removed, null);
+  await db.write();
+
+  log.info('RULES', `Deleted ${removed.id}`, { rule_id: removed.id });
+  res.json({ success: true, deleted: removed.id });
+});
+
+// ============================================
+// PROVIDERS & DEAD LETTERS API
+// ============================================
+app.get('/api/providers', (req, res) => {
+  res.json(providers.describe());
+});
+
+app.get('/api/providers/mock/outbox', (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  res.json(providers.get('mock').outbox.slice(0, limit));
+});
+
+app.get('/api/dead-letters', (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  const failed = db.scheduled_messages
+    .find({ status: 'failed' }, { orderBy: ['failed_at', 'desc'], limit })
+    .map(m => ({ ...m, experiment: db.experiments.get(m.experiment_id) }));
+  res.json(failed);
+});
+
+// Put a dead-lettered message back in the queue with a fresh attempt budget
+app.post('/api/dead-letters/:id/retry', async (req, res) => {
+  const msg = db.scheduled_messages.get(req.params.id);
+  if (!msg) return res.status(404).json({ error: `Unknown message: ${req.params.id}` });
+  if (msg.status !== 'failed') {
+    return res.status(409).json({ error: `Message is ${msg.status}, only failed messages can be retried` });
+  }
+
+  const experiment = db.experiments.get(msg.experiment_id);
+  msg.status = 'pending';
+  msg.attempts = 0;
+  msg.send_at = clock.iso();
+  msg.failed_at = null;
+  db.transaction(() => {
+    db.scheduled_messages.save(msg);
+    if (experiment && experiment.status === 'failed') {
+      experiment.status = 'pending';
+      experiment.failed_at = null;
+      experiment.failure_reason = null;
+      db.experiments.save(experiment);
+    }
+  });
+  await db.write();
+
+  res.json({ success: true, message: msg });
+});
+
+// ============================================
+// DELIVERY POLICY API
+// ============================================
+app.get('/api/delivery-policy', (req, res) => {
+  res.json(getPolicy());
+});
+
+// Top-level keys in the body replace the current ones
+app.put('/api/delivery-policy', async (req, res) => {
+  const allowed = Object.keys(defaultPolicy);
+  const unknown = Object.keys(req.body).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) return res.status(400).json({ errors: unknown.map(key => `unknown field: ${key}`) });
+
+  const policy = { ...getPolicy(), ...req.body };
+  const errors = validatePolicy(policy, frameworks.channel);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  audit(req, 'delivery_policy.update', 'delivery_policy', getPolicy(), policy);
+  db.data.delivery_policy = policy;
+  await db.write();
+  res.json(policy);
+});
+
+// ============================================
+// SCHEDULE API
+// ============================================
+app.get('/api/schedule/config', (req, res) => {
+  res.json(db.data.schedule_config);
+});
+
+// Top-level keys in the body replace the current ones
+app.put('/api/schedule/config', async (req, res) => {
+  const config = { ...db.data.schedule_config, ...req.body };
+  const errors = validateScheduleConfig(config);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  audit(req, 'schedule_config.update', 'schedule_config', db.data.schedule_config, config);
+  db.data.schedule_config = config;
+  await db.write();
+  res.json(config);
+});
+
+// GET /api/schedule/preview?user_id=u1&timing=payday&timezone=Asia/Kolkata&channel=sms
+// Without a timing, previews every timing option; a channel adds its send window.
+app.get('/api/schedule/preview', (req, res) => {
+  const { user_id: userId, timing, timezone, channel } = req.query;
+
+  if (timezone && !isValidTimeZone(timezone)) {
+    return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+  }
+  if (timing && !frameworks.timing.options.includes(timing)) {
+    return res.status(400).json({ error: `Unknown timing: ${timing}` });
+  }
+  if (channel && !frameworks.channel.includes(channel)) {
+    return res.status(400).json({ error: `Unknown channel: ${channel}` });
+  }
+
+  const { timeZone, source } = timezone
+    ? { timeZone: timezone, source: 'request' }
+    : resolveTimeZone(userId);
+  const quietHours = getPolicy().quiet_hours;
+  const now = new Date();
+
+  const previews = (timing ? [timing] : frameworks.timing.options).map(option => {
+    const scheduled = computeSendAt(option, timeZone, now);
+    const quietAt = applyQuietHours(scheduled, timeZone, quietHours);
+    const sendAt = channel ? applySendWindow(quietAt, channel) : quietAt;
+    return {
+      timing: option,
+      send_at: sendAt.toISOString(),
+      local_time: formatLocal(sendAt, timeZone),
+      deferred_by_quiet_hours: quietAt.getTime() !== scheduled.getTime(),
+      ...(channel && { deferred_by_send_window: sendAt.getTime() !== quietAt.getTime() })
+    };
+  });
+
+  res.json({
+    user_id: userId || null,
+    channel: channel || null,
+    timezone: timeZone,
+    timezone_source: source,
+    now: now.toISOString(),
+    previews
+  });
+});
+
+// ============================================
+// CATALOG API (lib/catalog.js)
+// ============================================
+function findEntry(dimension, value) {
+  return db.data.catalog[dimension].find(e => e.value === value) || null;
+}
+
+function unknownDimension(res, dimension) {
+  return res.status(404).json({ error: `Unknown dimension: ${dimension} (${CATALOG_DIMENSIONS.join(', ')})` });
+}
+
+// Every value, retired ones included
+app.get('/api/catalog', (req, res) => {
+  res.json(db.data.catalog);
+});
+
+// Cohort options whose value is missing, retired or has no English copy
+app.get('/api/catalog/validate', (req, res) => {
+  const problems = catalogProblems(getCohortIntelligence(), db.data.catalog, db.data.templates);
+  res.json({ ok: problems.length === 0, problems });
+});
+
+// Body: { value, delay_minutes? (timing), text? (offer), frames? (tone) }
+// e.g. POST /api/catalog/offer { "value": "first_month_49", "text": { "english": "First month for ₹49" } }
+app.post('/api/catalog/:dimension', async (req, res) => {
+  const { dimension } = req.params;
+  if (!CATALOG_DIMENSIONS.includes(dimension)) return unknownDimension(res, dimension);
+
+  const entry = newEntry(dimension, req.body);
+  const errors = validateEntry(dimension, entry);
+  if (findEntry(dimension, entry.value)) errors.push(`${dimension} ${entry.value} already exists`);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  db.data.catalog[dimension].push(entry);
+  refreshCatalog();
+  audit(req, 'catalog.create', `${dimension}:${entry.value}`, null, entry);
+  await db.write();
+
+  log.info('CATALOG', `Added ${dimension} ${entry.value}`);
+  res.status(201).json(entry);
+});
+
+// Partial update; offer text and tone frames merge per locale, and
+// { retired: false } brings a retired value back
+app.put('/api/catalog/:dimension/:value', async (req, res) => {
+  const { dimension, value } = req.params;
+  if (!CATALOG_DIMENSIONS.includes(dimension)) return unknownDimension(res, dimension);
+
+  const entries = db.data.catalog[dimension];
+  const index = entries.findIndex(e => e.value === value);
+  if (index === -1) return res.status(404).json({ error: `Unknown ${dimension}: ${value}` });
+  if (req.body.retired === true) {
+    return res.status(400).json({ error: `retire with DELETE /api/catalog/${dimension}/${value}` });
+  }
+
+  const before = entries[index];
+  const entry = reviseEntry(dimension, before, req.body);
+  const errors = validateEntry(dimension, entry);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  entries[index] = entry;
+  refreshCatalog();
+  audit(req, isRetired(before) && !isRetired(entry) ? 'catalog.restore' : 'catalog.update', `${dimension}:${value}`, before, entry);
+  await db.write();
+
+  log.info('CATALOG', `Updated ${dimension} ${value}`);
+  res.json(entry);
+});
+
+// Retires the value and takes it out of every cohort's options. Refused
+// while it is the only value a cohort has for the dimension. Messages
+// already scheduled with it still go out.
+app.delete('/api/catalog/:dimension/:value', async (req, res) => {
+  const { dimension, value } = req.params;
+  if (!CATALOG_DIMENSIONS.includes(dimension)) return unknownDimension(res, dimension);
+
+  const entry = findEntry(dimension, value);
+  if (!entry) return res.status(404).json({ error: `Unknown ${dimension}: ${value}` });
+
+  const intelligence = getCohortIntelligence();
+  const using = Object.keys(intelligence).filter(cohort => intelligence[cohort][dimension]?.includes(value));
+  const emptied = using.filter(cohort => intelligence[cohort][dimension].length === 1);
+  if (emptied.length > 0) {
+    return res.status(409).json({
+      error: `${dimension} ${value} is the only option of ${emptied.join(', ')}; give them another one first`
+    });
+  }
+
+  const before = structuredClone(entry);
+  entry.retired_at ||= clock.iso();
+  audit(req, 'catalog.retire', `${dimension}:${value}`, before, entry);
+  for (const cohort of using) {
+    const options = intelligence[cohort];
+    const after = { ...options, [dimension]: options[dimension].filter(v => v !== value) };
+    audit(req, 'cohort_options.update', `cohort:${cohort}`, options, after);
+    intelligence[cohort] = after;
+  }
+  refreshCatalog();
+  await db.write();
+
+  log.info('CATALOG', `Retired ${dimension} ${value}${using.length > 0 ? ` (removed from ${using.join(', ')})` : ''}`);
+  res.json({ success: true, retired: `${dimension}:${value}`, removed_from: using });
+});
+
+app.get('/api/cohorts/options', (req, res) => {
+  res.json(getCohortIntelligence());
+});
+
+app.get('/api/cohorts/:cohort/options', (req, res) => {
+  const options = getCohortIntelligence()[req.params.cohort];
+  if (!options) return res.status(404).json({ error: `Unknown cohort: ${req.params.cohort}` });
+  res.json({ ...options, problems: optionProblems(options, db.data.catalog, db.data.templates) });
+});
+
+// Body: { timing?: [...], channel?: [...], lever?: [...], offer?: [...], tone?: [...] }
+// Dimensions in the body replace the current ones. Every option must be
+// an active catalog value with English copy. A cohort introduced by a
+// rule gets its own options here.
+app.put('/api/cohorts/:cohort/options', async (req, res) => {
+  const { cohort } = req.params;
+  const intelligence = getCohortIntelligence();
+  if (!intelligence[cohort] && !getRules().some(r => r.cohort === cohort)) {
+    return res.status(404).json({ error: `Unknown cohort: ${cohort}` });
+  }
+
+  const before = intelligence[cohort] ?? null;
+  const options = { ...(before || {}), ...req.body };
+  const errors = optionProblems(options, db.data.catalog, db.data.templates);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  intelligence[cohort] = Object.fromEntries(CATALOG_DIMENSIONS.map(dim => [dim, [...new Set(options[dim])]]));
+  audit(req, 'cohort_options.update', `cohort:${cohort}`, before, intelligence[cohort]);
+  await db.write();
+
+  log.info('CATALOG', `Updated options of ${cohort}`);
+  res.json(intelligence[cohort]);
+});
+
+// GET /api/pauses?cohort=payment_failed (pauses for every cohort included)
+app.get('/api/pauses', (req, res) => {
+  const { cohort } = req.query;
+  res.json(db.data.paused_arms.filter(p => !cohort || p.cohort === null || p.cohort === cohort));
+});
+
+// Body: { cohort?, combo_key? | timing?, channel?, lever?, offer?, tone?, reason? }
+// Without cohort the pause applies to every cohort.
+app.post('/api/pauses', async (req, res) => {
+  const errors = validatePause(req.body, db.data.catalog, cohortNames());
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  const pause = {
+    id: uuidv4(),
+    cohort: req.body.cohort ?? null,
+    match: pauseMatch(req.body),
+    reason: req.body.reason ?? null,
+    paused_at: clock.iso(),
+    paused_by: actorOf(req)
+  };
+  db.data.paused_arms.push(pause);
+  audit(req, 'pause.create', `pause:${pause.id}`, null, pause);
+  await db.write();
+
+  log.info('PAUSE', `${JSON.stringify(pause.match)} paused for ${pause.cohort || 'every cohort'}`, { pause_id: pause.id });
+  res.status(201).json(pause);
+});
+
+app.delete('/api/pauses/:id', async (req, res) => {
+  const index = db.data.paused_arms.findIndex(p => p.id === req.params.id);
+  if (index === -1) return res.status(404).json({ error: `Unknown pause: ${req.params.id}` });
+
+  const [removed] = db.data.paused_arms.splice(index, 1);
+  audit(req, 'pause.delete', `pause:${removed.id}`, removed, null);
+  await db.write();
+
+  log.info('PAUSE', `Lifted ${JSON.stringify(removed.match)} for ${removed.cohort || 'every cohort'}`, { pause_id: removed.id });
+  res.json({ success: true, deleted: removed.id });
+});
+
+// Newest first: GET /api/audit?actor=priya&action=rule.update&target=rule:payment_failed&since=2024-06-01&limit=100
+app.get('/api/audit', (req, res) => {
+  const where = {};
+  for (const field of ['actor', 'action', 'target']) {
+    if (req.query[field] === undefined) continue;
+    if (typeof req.query[field] !== 'string') return res.status(400).json({ error: `${field} must be a string` });
+    if (req.query[field]) where[field] = req.query[field];
+  }
+  const since = queryTime(req.query.since);
+  if (since === null) return res.status(400).json({ error: `Invalid since: ${req.query.since}` });
+  if (since) where.at = { gte: since };
+
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  res.json(db.audit_log.find(where, { orderBy: ['at', 'desc'], limit }));
+});
+
+// ============================================
+// TEMPLATES API
+// ============================================
+function findTemplate(id) {
+  return db.data.templates.find(t => t.id === id);
+}
+
+// GET /api/templates?lever=scarcity&include_archived=true
+app.get('/api/templates', (req, res) => {
+  const { lever } = req.query;
+  const includeArchived = req.query.include_archived === 'true';
+
+  const templates = db.data.templates.filter(t =>
+    (!lever || t.lever === lever) && (includeArchived || !t.archived_at)
+  );
+  res.json({ variables: VARIABLES, channel_limits: CHANNEL_LIMITS, templates });
+});
+
+// Sent / converted per template version. Versions are compared with the
+// other copy for the same lever, so the significance reflects copy only.
+// GET /api/templates/stats?cohort=payment_failed
+app.get('/api/templates/stats', (req, res) => {
+  const { cohort, lever } = req.query;
+  const options = readoutOptions(req.query);
+  const rows = {};
+
+  const where = { arm: 'treatment', status: SENT_STATUSES, template_id: { ne: null } };
+  if (cohort) where.cohort = cohort;
+  if (lever) where.lever = lever;
+
+  for (const e of db.experiments.find(where)) {
+    const key = `${e.template_id}@${e.template_version}`;
+    rows[key] ||= {
+      template_id: e.template_id,
+      version: e.template_version,
+      lever: e.lever,
+      sent_count: 0,
+      converted_count: 0,
+      revenue: 0
+    };
+    addOutcome(rows[key], e);
+  }
+
+  const byLever = {};
+  for (const row of Object.values(rows)) {
+    (byLever[row.lever] ||= []).push(row);
+  }
+
+  const variants = Object.values(byLever)
+    .flatMap(leverRows => describeArms(leverRows, options))
+    .sort((a, b) => b.cvr - a.cvr);
+
+  res.json({ cohort: cohort || null, level: options.level, variants });
+});
+
+app.get('/api/templates/:id', (req, res) => {
+  const template = findTemplate(req.params.id);
+  if (!template) return res.status(404).json({ error: `Unknown template: ${req.params.id}` });
+  res.json(template);
+});
+
+// Body: { id, lever, body, title?, tone?, channels?, enabled? }
+app.post('/api/templates', async (req, res) => {
+  const template = newTemplate(req.body);
+  const errors = validateTemplate(template, frameworks);
+  if (findTemplate(template.id)) errors.push(`template ${template.id} already exists`);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  db.data.templates.push(template);
+  audit(req, 'template.create', `template:${template.id}`, null, template);
+  await db.write();
+
+  log.info('TEMPLATES', `Created ${template.id}`, { template_id: template.id });
+  res.status(201).json(template);
+});
+
+// Partial update; a new title or body creates a new version
+app.put('/api/templates/:id', async (req, res) => {
+  const index = db.data.templates.findIndex(t => t.id === req.params.id);
+  if (index === -1) return res.status(404).json({ error: `Unknown template: ${req.params.id}` });
+
+  const template = reviseTemplate(db.data.templates[index], req.body);
+  const errors = validateTemplate(template, frameworks);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  audit(req, 'template.update', `template:${template.id}`, db.data.templates[index], template);
+  db.data.templates[index] = template;
+  await db.write();
+
+  log.info('TEMPLATES', `Updated ${template.id} (v${template.version})`, { template_id: template.id });
+  res.json(template);
+});
+
+// Archived rather than removed so past experiments keep their copy
+app.delete('/api/templates/:id', async (req, res) => {
+  const template = findTemplate(req.params.id);
+  if (!template) return res.status(404).json({ error: `Unknown template: ${req.params.id}` });
+
+  const before = structuredClone(template);
+  template.archived_at ||= clock.iso();
+  audit(req, 'template.archive', `template:${template.id}`, before, template);
+  await db.write();
+
+  log.info('TEMPLATES', `Archived ${template.id}`, { template_id: template.id });
+  res.json({ success: true, archived: template.id });
+});
+
+// ============================================
+// SUPPRESSION API
+// ============================================
+app.get('/api/suppression/rules', (req, res) => {
+  res.json(db.data.suppression_rules);
+});
+
+// Body: [{ event_type, reason, cohorts? }, ...] - replaces the whole list
+app.put('/api/suppression/rules', async (req, res) => {
+  const errors = validateSuppressionRules(req.body);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  const before = db.data.suppression_rules;
+  db.data.suppression_rules = req.body.map(rule => ({
+    event_type: rule.event_type,
+    reason: rule.reason,
+    cohorts: rule.cohorts || []
+  }));
+  audit(req, 'suppression_rules.update', 'suppression_rules', before, db.data.suppression_rules);
+  await db.write();
+
+  res.json(db.data.suppression_rules);
+});
+
+// Sends blocked, moved to another channel or deferred by consent and send
+// windows, cancelled messages by reason, and consent totals:
+// GET /api/suppression/report?since=2024-06-01&until=2024-07-01&cohort=payment_failed&channel=sms
+app.get('/api/suppression/report', (req, res) => {
+  const since = queryTime(req.query.since);
+  const until = queryTime(req.query.until);
+  if (since === null || until === null) return res.status(400).json({ error: 'since and until must be timestamps' });
+
+  const { cohort, channel } = req.query;
+  const range = { ...(since && { gte: since }), ...(until && { lte: until }) };
+  const inRange = at => Boolean(at) && (!since || at >= since) && (!until || at <= until);
+
+  const entries = db.suppressions.find(since || until ? { at: range } : {}, { orderBy: ['at', 'desc'] })
+    .filter(e => (!cohort || e.cohort === cohort) && (!channel || e.channel === channel));
+
+  const cancelledByReason = {};
+  for (const msg of db.scheduled_messages.find({ status: 'cancelled' })) {
+    if (!inRange(msg.cancelled_at)) continue;
+    const experiment = db.experiments.get(msg.experiment_id);
+    if ((cohort && experiment?.cohort !== cohort) || (channel && experiment?.channel !== channel)) continue;
+    const reason = msg.cancel_reason || 'unknown';
+    cancelledByReason[reason] = (cancelledByReason[reason] || 0) + 1;
+  }
+
+  const consents = Object.fromEntries(frameworks.channel.map(c => [
+    c,
+    Object.fromEntries(CONSENT_STATUSES.map(status => [status, db.consents.count({ channel: c, status })]))
+  ]));
+
+  res.json({
+    since: since || null,
+    until: until || null,
+    ...summarizeSuppressions(entries),
+    cancelled_by_reason: cancelledByReason,
+    consents,
+    recent: entries.slice(0, 50)
+  });
+});
+
+// ============================================
+// CONSENT API
+// ============================================
+app.get('/api/consent/config', (req, res) => {
+  res.json(getConsentConfig());
+});
+
+// Top-level keys in the body replace the current ones
+app.put('/api/consent/config', async (req, res) => {
+  const allowed = Object.keys(defaultConsentConfig);
+  const unknown = Object.keys(req.body).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) return res.status(400).json({ errors: unknown.map(key => `unknown field: ${key}`) });
+
+  const config = { ...getConsentConfig(), ...req.body };
+  const errors = validateConsentConfig(config, frameworks.channel);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  audit(req, 'consent_config.update', 'consent_config', getConsentConfig(), config);
+  db.data.consent_config = config;
+  await db.write();
+  res.json(config);
+});
+
+// Body: one update, an array, or { updates: [...] }, each
+// { user_id, channel, status: opted_in|opted_out|dnd, source? }. Nothing
+// is applied unless every update is valid.
+app.post('/api/consent', async (req, res) => {
+  const updates = Array.isArray(req.body) ? req.body : (req.body.updates || [req.body]);
+  if (!Array.isArray(updates)) {
+    return res.status(400).json({ error: 'body must be an update, an array of updates or { updates: [...] }' });
+  }
+  if (updates.length > CONSENT_MAX_BATCH) {
+    return res.status(413).json({ error: `batch of ${updates.length} updates exceeds the limit of ${CONSENT_MAX_BATCH}` });
+  }
+
+  const errors = updates.flatMap((update, index) =>
+    validateConsentUpdate(update, frameworks.channel).map(error => `updates[${index}]: ${error}`)
+  );
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  let changed = 0;
+  db.transaction(() => {
+    for (const { user_id: userId, channel, status, source } of updates) {
+      if (setConsent(userId, channel, status, source || `api:${actorOf(req)}`)) changed++;
+    }
+  });
+  await db.write();
+  res.json({ received: updates.length, changed, unchanged: updates.length - changed });
+});
+
+// Each channel's status and whether it may be used now
+app.get('/api/users/:id/consent', (req, res) => {
+  const records = consentRecords(req.params.id);
+  const config = getConsentConfig();
+
+  res.json({
+    user_id: req.params.id,
+    channels: Object.fromEntries(frameworks.channel.map(channel => {
+      const record = records[channel];
+      return [channel, {
+        status: record?.status ?? null,
+        source: record?.source ?? null,
+        updated_at: record?.updated_at ?? null,
+        ...channelPermission(record, channel, config),
+        history: record?.history ?? []
+      }];
     }))
-    .sort((a, b) => parseFloat(a.cvr) - parseFloat(b.cvr))
-    .slice(0, 5);
+  });
+});
+
+// ============================================
+// SEQUENCES API
+// ============================================
+app.get('/api/sequences', (req, res) => {
+  res.json(db.data.sequence_config.cohorts);
+});
+
+// Body: { steps: [{ timing?, channel?, lever?, offer?, tone? }, ...], enabled? }
+app.put('/api/sequences/:cohort', async (req, res) => {
+  const { cohort } = req.params;
+  if (!getCohortIntelligence()[cohort]) {
+    return res.status(404).json({ error: `Unknown cohort: ${cohort}` });
+  }
+
+  const { steps, enabled = true } = req.body;
+  const errors = validateSequence(steps, frameworks);
+  if (typeof enabled !== 'boolean') errors.push('enabled must be a boolean');
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  const before = db.data.sequence_config.cohorts[cohort];
+  db.data.sequence_config.cohorts[cohort] = { steps: normalizeSteps(steps), enabled };
+  audit(req, 'sequence.update', `sequence:${cohort}`, before, db.data.sequence_config.cohorts[cohort]);
+  await db.write();
+
+  log.info('SEQUENCE', `${cohort} now has ${steps.length} step(s)`, { cohort });
+  res.json(db.data.sequence_config.cohorts[cohort]);
+});
+
+// Running sequences keep their snapshot of the steps and finish normally
+app.delete('/api/sequences/:cohort', async (req, res) => {
+  const { cohort } = req.params;
+  if (!db.data.sequence_config.cohorts[cohort]) {
+    return res.status(404).json({ error: `No sequence configured for ${cohort}` });
+  }
+
+  audit(req, 'sequence.delete', `sequence:${cohort}`, db.data.sequence_config.cohorts[cohort], null);
+  delete db.data.sequence_config.cohorts[cohort];
+  await db.write();
+  res.json({ success: true });
+});
+
+// Per-step funnel: how many sequences reached each step, how many of
+// those sends converted, and how many were cancelled before sending
+app.get('/api/sequences/:cohort/stats', (req, res) => {
+  const { cohort } = req.params;
+  const sequences = db.sequences.find({ cohort });
+  const sequenceIds = new Set(sequences.map(s => s.id));
+  const experiments = db.experiments.find({ sequence_id: [...sequenceIds] });
 
-  const pendingJourneys = db.data.user_journey.filter(j => !j.checked).length;
+  const stepCount = sequences.reduce((max, s) => Math.max(max, s.steps.length), 0);
+  const steps = [];
+  for (let step = 1; step <= stepCount; step++) {
+    const rows = experiments.filter(e => e.step === step);
+    const sent = rows.filter(e => reachedStatus(e, 'sent')).length;
+    const converted = rows.filter(e => e.status === 'converted').length;
 
+    steps.push({
+      step,
+      scheduled: rows.length,
+      sent,
+      converted,
+      cancelled: rows.filter(e => e.status === 'cancelled').length,
+      cvr: sent > 0 ? percent(converted / sent) : null
+    });
+  }
+
+  const byStatus = status => sequences.filter(s => s.status === status).length;
   res.json({
-    summary: {
-      total_experiments: total,
-      total_sent: sent,
-      total_opened: opened,
-      total_converted: converted,
-      overall_cvr: sent > 0 ? (converted / sent * 100).toFixed(2) + '%' : '0%',
-      pending_abandonment_checks: pendingJourneys
+    cohort,
+    sequences: {
+      started: sequences.length,
+      active: byStatus('active'),
+      converted: byStatus('converted'),
+      completed: byStatus('completed'),
+      stopped: byStatus('stopped')
     },
-    top_combinations: topCombos,
-    worst_combinations: worstCombos
+    steps
   });
 });
 
 app.post('/api/trigger', async (req, res) => {
-  const { user_id, cohort, attributes } = req.body;
-  if (!user_id || !cohort) return res.status(400).json({ error: 'user_id and cohort required' });
+  const { user_id, cohort } = req.body;
+  const attributes = req.body.attributes ?? {};
+  if (typeof user_id !== 'string' || !user_id || typeof cohort !== 'string' || !cohort) {
+    return res.status(400).json({ error: 'user_id and cohort must be non-empty strings' });
+  }
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    return res.status(400).json({ error: 'attributes must be an object' });
+  }
 
-  const experiment = await createExperiment(user_id, cohort, attributes || {});
+  const experiment = await createExperiment(user_id, cohort, attributes);
   res.json({ success: true, experiment });
 });
 
-// List all experiments (for debugging)
+// Bandit state: effective config and posterior per arm, per cohort
+// (?step=N for a follow-up step of a sequence; ?user_id= to see the arms
+// as contextual mode scores them for that user)
+app.get('/api/bandit', (req, res) => {
+  const cohorts = req.query.cohort ? [req.query.cohort] : cohortNames();
+  const step = parseInt(req.query.step) || 1;
+  const features = req.query.user_id ? userFeatures(req.query.user_id) : null;
+
+  const result = {};
+  for (const cohort of cohorts) {
+    const config = getBanditConfig(cohort);
+    const steps = getSequenceSteps(cohort);
+    let arms = getCohortArms(cohort, step, steps ? steps[step - 1] : {});
+    if (features) arms = contextualArms(arms, features, contextLookup(cohort, step), getFeatureConfig(), config);
+
+    result[cohort] = {
+      config,
+      step,
+      ...(features && { user_id: req.query.user_id, features }),
+      arms: arms
+        .map(arm => summarizeArm(arm, config))
+        .sort((a, b) => b.posterior_mean - a.posterior_mean)
+    };
+  }
+
+  res.json(result);
+});
+
+// Per-dimension main effects for a cohort, plus an optional pairwise table:
+// GET /api/effects?cohort=payment_failed&pair=channel+timing
+app.get('/api/effects', (req, res) => {
+  const { cohort, pair } = req.query;
+  if (!cohort || !getCohortIntelligence()[cohort]) {
+    return res.status(400).json({ error: 'valid cohort required' });
+  }
+
+  const step = parseInt(req.query.step) || 1;
+  const options = stepOptions(cohort);
+  const config = getBanditConfig(cohort);
+  const lookup = dimensionLookup(cohort, step);
+  const baseline = cohortBaseline(cohort, step);
+
+  const result = {
+    cohort,
+    step,
+    baseline: {
+      ...baseline,
+      cvr: baseline.sent > 0 ? baseline.converted / baseline.sent : null
+    },
+    main_effects: mainEffects(options, lookup, baseline, config)
+  };
+
+  if (pair) {
+    const dims = pair.split(/[+ ]/);
+    const known = PAIRS.find(([a, b]) => (a === dims[0] && b === dims[1]) || (a === dims[1] && b === dims[0]));
+    if (!known) {
+      return res.status(400).json({ error: `pair must be two of ${DIMENSIONS.join(', ')}` });
+    }
+
+    const [a, b] = known;
+    const name = pairName(a, b);
+    result.pairwise = {
+      dimension: name,
+      cells: options[a].flatMap(va => options[b].map(vb => {
+        const cell = lookup(name, `${va}|${vb}`);
+        return {
+          [a]: va,
+          [b]: vb,
+          ...cell,
+          cvr: cell.sent > 0 ? cell.converted / cell.sent : null
+        };
+      }))
+    };
+  }
+
+  res.json(result);
+});
+
+// Body: { strategy?, mode?, prior_alpha?, prior_beta?, epsilon?, ucb_c?, interaction_min_sent?, cohort? }
+// Without cohort the change applies to every cohort without its own override.
+app.put('/api/bandit/config', async (req, res) => {
+  const { cohort, ...config } = req.body;
+  if (cohort && !getCohortIntelligence()[cohort]) {
+    return res.status(400).json({ error: `Unknown cohort: ${cohort}` });
+  }
+
+  const errors = validateBanditConfig(config);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+  const before = structuredClone(db.data.bandit_config);
+  if (cohort) {
+    db.data.bandit_config.cohorts ||= {};
+    db.data.bandit_config.cohorts[cohort] = { ...(db.data.bandit_config.cohorts[cohort] || {}), ...config };
+  } else {
+    Object.assign(db.data.bandit_config, config);
+  }
+  audit(req, 'bandit_config.update', 'bandit_config', before, db.data.bandit_config);
+  await db.write();
+
+  res.json({ success: true, config: getBanditConfig(cohort) });
+});
+
+// ============================================
+// CONTEXT FEATURES API
+// ============================================
+app.get('/api/features', (req, res) => {
+  res.json(getFeatureConfig());
+});
+
+// Top-level keys in the body replace the current ones. Features already
+// recorded on experiments and in context_stats are kept; a renamed or
+// re-bucketed feature starts learning afresh.
+app.put('/api/features', async (req, res) => {
+  const allowed = Object.keys(defaultFeatureConfig);
+  const unknown = Object.keys(req.body).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) return res.status(400).json({ errors: unknown.map(key => `unknown field: ${key}`) });
+
+  const config = { ...getFeatureConfig(), ...req.body };
+  const errors = validateFeatureConfig(config);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  audit(req, 'feature_config.update', 'feature_config', getFeatureConfig(), config);
+  db.data.feature_config = config;
+  await db.write();
+  res.json(config);
+});
+
+// The features the next selection for this user would condition on
+app.get('/api/users/:id/features', (req, res) => {
+  const profile = db.user_profiles.get(req.params.id);
+  res.json({
+    user_id: req.params.id,
+    features: userFeatures(req.params.id),
+    attributes: profile?.attributes ?? {}
+  });
+});
+
+// ============================================
+// ATTRIBUTION API
+// ============================================
+app.get('/api/attribution/config', (req, res) => {
+  res.json(getAttributionConfig());
+});
+
+// Top-level keys in the body replace the current ones
+app.put('/api/attribution/config', async (req, res) => {
+  const config = { ...getAttributionConfig(), ...req.body };
+  const errors = validateAttributionConfig(config, { cohorts: cohortNames(), channels: frameworks.channel });
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  audit(req, 'attribution_config.update', 'attribution_config', getAttributionConfig(), config);
+  db.data.attribution_config = config;
+  await db.write();
+  res.json(config);
+});
+
+// Stored conversions re-credited under any model, so models can be
+// compared on the same data. Sends come from the learned arm stats.
+// GET /api/attribution?model=linear&cohort=payment_failed&since=2024-01-01
+app.get('/api/attribution', (req, res) => {
+  const config = { ...getAttributionConfig(), ...(req.query.model && { model: req.query.model }) };
+  if (!ATTRIBUTION_MODELS.includes(config.model)) {
+    return res.status(400).json({ error: `model must be one of ${ATTRIBUTION_MODELS.join(', ')}` });
+  }
+  const since = queryTime(req.query.since);
+  if (since === null) return res.status(400).json({ error: 'since must be a date' });
+
+  const conversions = db.conversions.find(since ? { converted_at: { gte: since } } : {});
+  const combos = attributeConversions(conversions, config)
+    .filter(row => !req.query.cohort || row.cohort === req.query.cohort)
+    .map(row => {
+      const sent = db.arm_stats.find({ cohort: row.cohort })
+        .filter(a => a.combo_key === row.combo_key)
+        .reduce((sum, a) => sum + a.sent_count, 0);
+      return {
+        ...row,
+        sent_count: sent,
+        cvr: sent > 0 ? percent(row.conversions / sent) : null,
+        revenue_per_send: sent > 0 ? roundAmount(row.revenue / sent) : null
+      };
+    })
+    .sort((a, b) => (b.revenue_per_send ?? -1) - (a.revenue_per_send ?? -1) || b.conversions - a.conversions);
+
+  res.json({
+    model: config.model,
+    half_life_hours: config.half_life_hours,
+    conversions: conversions.length,
+    revenue: roundAmount(conversions.reduce((sum, c) => sum + (c.value || 0), 0)),
+    combos
+  });
+});
+
+// ============================================
+// DASHBOARD API (lib/dashboard.js)
+// ============================================
+function queueDepth() {
+  const now = clock.iso();
+  const first = (collection, where, field) => collection.findOne(where, { orderBy: [field, 'asc'] })?.[field] ?? null;
+
+  const byCohort = {};
+  const byChannel = {};
+  for (const e of db.experiments.find({ status: 'pending' })) {
+    byCohort[e.cohort] = (byCohort[e.cohort] || 0) + 1;
+    byChannel[e.channel] = (byChannel[e.channel] || 0) + 1;
+  }
+
+  return {
+    at: now,
+    journeys: {
+      pending: db.user_journey.count({ checked: false }),
+      overdue: db.user_journey.count({ checked: false, check_at: { lte: now } }),
+      next_check_at: first(db.user_journey, { checked: false }, 'check_at')
+    },
+    messages: {
+      pending: db.scheduled_messages.count({ status: 'pending' }),
+      sending: db.scheduled_messages.count({ status: 'sending' }),
+      overdue: db.scheduled_messages.count({ status: 'pending', send_at: { lte: now } }),
+      next_send_at: first(db.scheduled_messages, { status: 'pending' }, 'send_at'),
+      by_cohort: byCohort,
+      by_channel: byChannel
+    },
+    dead_letters: db.scheduled_messages.count({ status: 'failed' })
+  };
+}
+
+// Experiments created in the last ?days (default `fallback`), optionally
+// for one ?cohort; `extraDays` reaches back for sends of older ones
+function dashboardExperiments(query, fallback, extraDays = 0) {
+  const days = query.days === undefined ? fallback : Number(query.days);
+  if (!(Number.isInteger(days) && days >= 1 && days <= 365)) return { error: 'days must be an integer between 1 and 365' };
+  if (query.cohort && !getCohortIntelligence()[query.cohort]) return { error: `Unknown cohort: ${query.cohort}` };
+
+  const where = { created_at: { gte: new Date(clock.ms() - (days + extraDays) * 24 * 60 * 60 * 1000).toISOString() } };
+  if (query.cohort) where.cohort = query.cohort;
+  return { days, experiments: db.experiments.find(where) };
+}
+
+// entered → messaged → opened → converted per cohort
+app.get('/api/dashboard/funnels', (req, res) => {
+  const { error, days, experiments } = dashboardExperiments(req.query, 14);
+  if (error) return res.status(400).json({ error });
+  res.json({ days, funnels: cohortFunnels(experiments, reachedStatus) });
+});
+
+// Sends and CVR by the day they were sent, in ?timezone or the policy's
+app.get('/api/dashboard/timeseries', (req, res) => {
+  const timeZone = req.query.timezone || getPolicy().default_timezone;
+  if (!isValidTimeZone(timeZone)) return res.status(400).json({ error: `Unknown timezone: ${timeZone}` });
+
+  const { error, days, experiments } = dashboardExperiments(req.query, 30, 2);
+  if (error) return res.status(400).json({ error });
+
+  const treated = experiments.filter(e => e.arm !== 'control');
+  res.json({
+    days,
+    timezone: timeZone,
+    cohort: req.query.cohort || null,
+    series: dailySeries(treated, { days, timeZone, now: clock.ms() })
+  });
+});
+
+// ?rows=lever&cols=offer for one grid; lever × offer and channel × timing
+// without them
+app.get('/api/dashboard/heatmap', (req, res) => {
+  const { rows, cols } = req.query;
+  if (Boolean(rows) !== Boolean(cols)) return res.status(400).json({ error: 'rows and cols go together' });
+  const pairs = rows ? [[rows, cols]] : DEFAULT_HEATMAPS;
+  for (const dimension of pairs.flat()) {
+    if (!HEATMAP_DIMENSIONS.includes(dimension)) {
+      return res.status(400).json({ error: `${dimension} is not one of ${HEATMAP_DIMENSIONS.join(', ')}` });
+    }
+  }
+
+  const { error, days, experiments } = dashboardExperiments(req.query, 30);
+  if (error) return res.status(400).json({ error });
+
+  const order = {
+    ...Object.fromEntries(CATALOG_DIMENSIONS.map(dim => [dim, db.data.catalog[dim].map(e => e.value)])),
+    locale: LOCALES
+  };
+  res.json({
+    days,
+    cohort: req.query.cohort || null,
+    heatmaps: pairs.map(([row, col]) => comboHeatmap(experiments, row, col, order))
+  });
+});
+
+app.get('/api/dashboard/queues', (req, res) => {
+  res.json(queueDepth());
+});
+
+// Server-Sent Events: kept items first (after Last-Event-ID on a
+// reconnect), then everything as it happens, plus a queue-depth snapshot
+// every LIVE_QUEUE_INTERVAL_SECONDS. ?types=send,conversion narrows it.
+app.get('/api/live', (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(',') : null;
+  const unknown = (types || []).filter(t => ![...LIVE_TYPES, 'queues'].includes(t));
+  if (unknown.length > 0) return res.status(400).json({ error: `Unknown types: ${unknown.join(', ')}` });
+  const wanted = item => !types || types.includes(item.type);
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  for (const item of live.since(req.get('Last-Event-ID'))) {
+    if (wanted(item)) res.write(formatEvent(item));
+  }
+  if (wanted({ type: 'queues' })) res.write(formatEvent({ id: null, type: 'queues', data: queueDepth() }));
+
+  const unsubscribe = live.subscribe(item => {
+    if (wanted(item)) res.write(formatEvent(item));
+  });
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+const liveQueueMs = (parseFloat(process.env.LIVE_QUEUE_INTERVAL_SECONDS) || 10) * 1000;
+if (!replayMode) {
+  setInterval(() => {
+    if (live.subscribers > 0) live.broadcast('queues', queueDepth());
+  }, liveQueueMs).unref();
+}
+
+// ============================================
+// EXPERIMENT HISTORY API
+// ============================================
+// ISO timestamp for a since / from / to query value: undefined when
+// absent, null when it does not parse
+function queryTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+const EXPERIMENT_FILTERS = ['cohort', 'status', 'arm', 'channel', 'lever', 'offer', 'tone', 'locale', 'user_id', 'sequence_id'];
+
+// Newest first, a page at a time:
+// GET /api/experiments?cohort=payment_failed&status=sent,converted&channel=whatsapp
+//     &from=2024-06-01&to=2024-06-08T00:00:00Z&q=user_mum&limit=50&offset=100
+// Filters take comma-separated values; from / to bound created_at; q
+// matches the user id, experiment id or message text, ignoring case.
 app.get('/api/experiments', (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-  const experiments = db.data.experiments
-    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-    .slice(0, limit);
-  res.json(experiments);
+  const where = {};
+  for (const field of EXPERIMENT_FILTERS) {
+    if (req.query[field]) where[field] = String(req.query[field]).split(',');
+  }
+
+  const from = queryTime(req.query.from);
+  const to = queryTime(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ error: 'from and to must be timestamps' });
+  if (from || to) where.created_at = { ...(from && { gte: from }), ...(to && { lte: to }) };
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const orderBy = ['created_at', 'desc'];
+  const q = String(req.query.q || '').trim().toLowerCase();
+
+  let total;
+  let experiments;
+  if (q) {
+    const matching = db.experiments.find(where, { orderBy })
+      .filter(e => [e.user_id, e.id, e.message].some(text => text?.toLowerCase().includes(q)));
+    total = matching.length;
+    experiments = matching.slice(offset, offset + limit);
+  } else {
+    total = db.experiments.count(where);
+    experiments = db.experiments.find(where, { orderBy, limit, offset });
+  }
+
+  res.json({ total, limit, offset, experiments });
+});
+
+// Everything the engine saw and did for one user, oldest first
+// (lib/timeline.js): GET /api/users/:id/timeline?since=2024-06-01&types=event,converted
+app.get('/api/users/:id/timeline', (req, res) => {
+  const userId = req.params.id;
+  const since = queryTime(req.query.since);
+  const until = queryTime(req.query.until);
+  if (since === null || until === null) return res.status(400).json({ error: 'since and until must be timestamps' });
+
+  const types = req.query.types ? String(req.query.types).split(',') : null;
+  const unknown = (types || []).filter(type => !TIMELINE_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown types: ${unknown.join(', ')} (${TIMELINE_TYPES.join(', ')})` });
+  }
+
+  const experiments = db.experiments.find({ user_id: userId });
+  const timeline = buildTimeline({
+    events: db.event_log.find({ user_id: userId }),
+    journeys: db.user_journey.find({ user_id: userId }),
+    experiments,
+    messages: db.scheduled_messages.find({ user_id: userId }),
+    sequences: db.sequences.find({ user_id: userId }),
+    consents: db.consents.find({ user_id: userId }),
+    suppressions: db.suppressions.find({ user_id: userId })
+  });
+  const profile = db.user_profiles.get(userId);
+
+  if (timeline.length === 0 && !profile) {
+    return res.status(404).json({ error: `Nothing recorded for user ${userId}` });
+  }
+
+  res.json({
+    user_id: userId,
+    profile,
+    summary: {
+      experiments: experiments.length,
+      sent: experiments.filter(e => e.sent_at).length,
+      converted: experiments.filter(e => e.status === 'converted').length,
+      pending_messages: db.scheduled_messages.count({ user_id: userId, status: 'pending' }),
+      open_journeys: db.user_journey.count({ user_id: userId, checked: false })
+    },
+    timeline: timeline.filter(entry =>
+      (!since || entry.at >= since) && (!until || entry.at <= until) && (!types || types.includes(entry.type))
+    )
+  });
+});
+
+// ============================================
+// ERRORS
+// ============================================
+// A write that lost to another replica has reloaded what it conflicted
+// with, so the caller can send the same request again; anything else
+// thrown by a handler or the store is a 500
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.code === 'STORE_CONFLICT') {
+    log.warn('STORE', err.message, { keys: err.keys, path: req.path });
+    return res.status(409).json({ error: `${err.message}; retry the request` });
+  }
+  if (err.expose) return res.status(err.status).json({ error: err.message });
+
+  log.error('HTTP', `${req.method} ${req.path} failed: ${err.message}`, { error: err });
+  res.status(500).json({ error: 'Internal error', request_id: req.id });
 });
 
+// ============================================
+// REPLAY (scripts/replay.js)
+// ============================================
+// Historical events go through the same path as the webhook, in simulated
+// time: the clock jumps to each event's timestamp, abandonment checks and
+// sends that fell due in between run at their own due time first, and
+// sends go to a provider that only records them. Cohorts, experiments and
+// combo stats come out as if the engine had been live.
+let replaySendHook = null;
+
+const replayProvider = {
+  name: 'replay',
+  async send({ experimentId }) {
+    replaySendHook?.(db.experiments.get(experimentId), clock.iso());
+    return { success: true, data: { simulated: true } };
+  }
+};
+
+// Run every journey check and send due by `until`, in time order, until
+// `interrupted()` says new events need to go first
+async function runDueWork(until, interrupted = () => false) {
+  const untilIso = new Date(until).toISOString();
+  let previous = null;
+
+  while (!interrupted()) {
+    const journey = db.user_journey.findOne({ checked: false, check_at: { lte: untilIso } }, { orderBy: ['check_at', 'asc'] });
+    const msg = db.scheduled_messages.findOne({ status: 'pending', send_at: { lte: untilIso } }, { orderBy: ['send_at', 'asc'] });
+    const due = [journey?.check_at, msg?.send_at].filter(Boolean).sort()[0];
+
+    // Stop on work that cannot move (a message without its experiment)
+    const current = `${journey?.id}|${msg?.id}|${due}`;
+    if (!due || current === previous) return;
+    previous = current;
+
+    clock.set(due);
+    await checkAbandonments();
+    await sendDueMessages();
+  }
+}
+
+// options.onSend(experiment, sentAt) may return events caused by a send
+// (the simulator's conversions), which join the queue at their own time;
+// options.drainUntil keeps running due work past the last event.
+export async function replayEvents(events, { onSend, drainUntil } = {}) {
+  const summary = {
+    read: 0,
+    accepted: 0,
+    rejected: 0,
+    skipped: 0,
+    duplicates: 0,
+    processed: 0,
+    from: null,
+    to: null,
+    rejections: []
+  };
+
+  const queue = [];
+  for (const event of events) {
+    const index = summary.read++;
+    const errors = validateEvent(event);
+    const time = errors.length === 0 ? eventTimestamp(event) : null;
+    if (errors.length === 0 && time === null) errors.push('time or event_time is required to replay an event');
+
+    if (errors.length > 0) {
+      summary.rejected++;
+      if (summary.rejections.length < 100) summary.rejections.push({ index, event_type: event?.event_type ?? null, errors });
+      continue;
+    }
+    queue.push({ index, time, event });
+  }
+
+  // Exports are only roughly ordered; ties keep file order
+  queue.sort((a, b) => a.time - b.time || a.index - b.index);
+
+  let position = 0;
+  let added = summary.read;
+  const skip = (index, event, error) => {
+    summary.skipped++;
+    if (summary.rejections.length < 100) summary.rejections.push({ index, event_type: event?.event_type ?? null, errors: [error] });
+  };
+  replaySendHook = (experiment, sentAt) => {
+    for (const event of (onSend && experiment && onSend(experiment, sentAt)) || []) {
+      const entry = { index: added++, time: eventTimestamp(event), event };
+      if (entry.time === null) {
+        skip(entry.index, event, 'time or event_time is required to replay an event');
+        continue;
+      }
+      let at = queue.length;
+      while (at > position && queue[at - 1].time > entry.time) at--;
+      queue.splice(at, 0, entry);
+    }
+  };
+
+  const experimentsBefore = db.experiments.count();
+  const sentBefore = db.experiments.count({ sent_at: { ne: null } });
+
+  // One write at the end instead of one per event
+  const write = db.write;
+  db.write = async () => {};
+  try {
+    for (;;) {
+      const next = queue[position];
+      // Journeys still waiting at the end of the export stay open: whether
+      // the user followed up is not in the data
+      const until = next ? next.time : (drainUntil ?? queue[queue.length - 1]?.time);
+      if (until === undefined) break;
+
+      await runDueWork(until, () => queue[position] !== next);
+      if (queue[position] !== next) continue;
+      if (!next) break;
+
+      clock.set(next.time);
+      position++;
+      // One bad event is skipped rather than ending the replay
+      let outcome;
+      try {
+        outcome = await ingestEvent(next.event);
+      } catch (error) {
+        log.error('REPLAY', `Event ${next.index} failed: ${error.message}`, { error });
+        skip(next.index, next.event, error.message);
+        continue;
+      }
+      if (outcome === 'rejected') skip(next.index, next.event, 'time or event_time is not a usable date');
+      else if (outcome === 'duplicate') summary.duplicates++;
+      else summary.accepted++;
+      if (outcome === 'processed') summary.processed++;
+    }
+  } finally {
+    replaySendHook = null;
+    db.write = write;
+    await db.write();
+  }
+
+  if (queue.length > 0) {
+    summary.from = new Date(queue[0].time).toISOString();
+    summary.to = new Date(queue[queue.length - 1].time).toISOString();
+  }
+  summary.experiments_created = db.experiments.count() - experimentsBefore;
+  summary.sends_simulated = db.experiments.count({ sent_at: { ne: null } }) - sentBefore;
+  summary.journeys_open = db.user_journey.count({ checked: false });
+  summary.messages_pending = db.scheduled_messages.count({ status: 'pending' });
+  summary.combo_stats = db.combo_stats.count();
+  return summary;
+}
+
+// ============================================
+// SIMULATION (scripts/simulate.js)
+// ============================================
+// Synthetic users (lib/simulation.js) are replayed through the engine.
+// Every simulated send is scored against the ground truth and, when the
+// user's draw says so, answered with a trial_activated the bandit learns
+// from - selection, scheduling and conversion all run for real.
+export async function simulate(scenario) {
+  const users = syntheticUsers(scenario, createRng(scenario.seed));
+  const byId = new Map(users.map(u => [u.user_id, u]));
+
+  const best = {};
+  for (const cohort of Object.keys(scenario.cohorts)) {
+    best[cohort] = bestRate(scenario.cohorts[cohort], stepOptions(cohort));
+  }
+
+  const sends = [];
+  const onSend = (experiment, sentAt) => {
+    const user = byId.get(experiment.user_id);
+    const model = scenario.cohorts[experiment.cohort];
+    if (!user || !model) return [];
+
+    const rate = trueRate(model, experiment);
+    const converted = user.draw < rate;
+    sends.push({ cohort: experiment.cohort, rate, best: best[experiment.cohort], converted });
+    return converted
+      ? [{ event_type: 'trial_activated', user_id: user.user_id, time: Date.parse(sentAt) + user.delay_ms }]
+      : [];
+  };
+
+  // Long enough for quiet hours and the slowest timing to play out
+  const last = users.reduce((max, u) => Math.max(max, u.time), 0);
+  const replay = await replayEvents(users.map(u => u.event), { onSend, drainUntil: last + 3 * 24 * 60 * 60 * 1000 });
+
+  return {
+    users: users.length,
+    experiments: replay.experiments_created,
+    holdout: db.experiments.count({ arm: 'control' }),
+    ...summarizeSimulation(sends, scenario)
+  };
+}
+
 // ============================================
 // START SERVER
 // ============================================
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
+const server = replayMode ? null : app.listen(PORT, () => {
+  log.info('START', `Listening on port ${PORT}`, { port: Number(PORT), jobs_enabled: jobsEnabled, owner: jobs.owner });
+  // The banner is for people; JSON logs are for the log pipeline
+  if (log.format !== 'text') return;
   console.log(`
 ╔════════════════════════════════════════════════════════════════╗
 ║          STAGE EXPERIMENT ENGINE - RUNNING                     ║
@@ -681,3 +4147,44 @@ app.listen(PORT, () => {
 ╚════════════════════════════════════════════════════════════════╝
   `);
 });
+
+if (jobsEnabled) jobs.start();
+
+// ============================================
+// GRACEFUL SHUTDOWN
+// ============================================
+// On SIGTERM / SIGINT: stop accepting requests and starting job items,
+// let the items in flight finish (sends included), write the store and
+// exit. Past JOBS_SHUTDOWN_SECONDS, or on a second signal, exit at once;
+// leases left behind expire and the work is picked up again.
+const shutdownMs = (parseFloat(process.env.JOBS_SHUTDOWN_SECONDS) || 25) * 1000;
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) process.exit(1);
+  shuttingDown = true;
+  log.info('SHUTDOWN', `${signal} - finishing in-flight work`);
+
+  setTimeout(() => {
+    log.error('SHUTDOWN', `In-flight work still running after ${shutdownMs / 1000}s - exiting`);
+    process.exit(1);
+  }, shutdownMs).unref();
+
+  // Open SSE streams would hold close() forever; nothing waits on it
+  server.close();
+  await jobs.stop();
+  await db.write();
+  db.close();
+  log.info('SHUTDOWN', 'Done');
+  process.exit(0);
+}
+
+if (!replayMode) {
+  for (const signal of ['SIGTERM', 'SIGINT']) process.on(signal, () => shutdown(signal));
+
+  // Routes and job items catch their own errors; log a stray one rather
+  // than lose every request in flight to it
+  process.on('unhandledRejection', error => {
+    log.error('PROCESS', `Unhandled rejection: ${error?.message ?? error}`, { error });
+  });
+}
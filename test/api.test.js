@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test('trigger rejects ids that are not strings and the server keeps answering', async () => {
+  const bodies = [
+    { user_id: { x: 1 }, cohort: 'payment_failed' },
+    { user_id: 'u1', cohort: ['payment_failed'] },
+    { user_id: '', cohort: 'payment_failed' },
+    { user_id: 'u1', cohort: 'payment_failed', attributes: 'x' }
+  ];
+  for (const body of bodies) {
+    const response = await server.post('/api/trigger', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+
+  assert.equal((await fetch(`${server.url}/api/audit?actor[x]=1`)).status, 400);
+  assert.ok(server.alive, server.stderr);
+  assert.equal((await fetch(`${server.url}/health`)).status, 200);
+});
+
+test('errors outside the handlers come back as JSON', async () => {
+  const response = await server.post('/api/trigger', '{"user_id":');
+  assert.equal(response.status, 400);
+  assert.ok((await response.json()).error);
+});
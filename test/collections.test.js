@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matches } from '../lib/storage/collections.js';
+
+test('matches applies operators and rejects unknown ones', () => {
+  const row = { user_id: 'u1', at: 5 };
+  assert.equal(matches(row, { user_id: 'u1', at: { gte: 5, ne: 6 } }), true);
+  assert.equal(matches(row, { at: { lt: 5 } }), false);
+  assert.throws(() => matches(row, { user_id: { x: 1 } }), /Unknown operator: x/);
+  assert.throws(() => matches(row, { user_id: { constructor: 1 } }), /Unknown operator: constructor/);
+});
@@ -0,0 +1,70 @@
+/**
+ * Starts server.js in a child process against a fresh SQLite file in a
+ * temp directory, for tests that talk to it over HTTP.
+ */
+
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+let nextPort = 4100 + (process.pid % 500);
+
+export async function startServer(env = {}) {
+  const dir = await mkdtemp(join(tmpdir(), 'engine-test-'));
+  const port = nextPort++;
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: root,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_DRIVER: 'sqlite',
+      SQLITE_PATH: join(dir, 'engine.sqlite'),
+      JOBS_ENABLED: 'false',
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+  const url = `http://localhost:${port}`;
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`server exited with ${child.exitCode}: ${stderr}`);
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return {
+    url,
+    get alive() {
+      return child.exitCode === null;
+    },
+    get stderr() {
+      return stderr;
+    },
+    post(path, body, headers = {}) {
+      return fetch(`${url}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+      });
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        await exited;
+      }
+      await rm(dir, { recursive: true, force: true });
+    }
+  };
+}
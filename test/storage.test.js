@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore } from '../lib/storage/index.js';
+
+test('two stores on one SQLite file cannot overwrite each other\'s edits', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'engine-test-'));
+  const path = join(dir, 'engine.sqlite');
+  const defaults = { paused_arms: [] };
+  const a = await createStore({ driver: 'sqlite', path, defaults });
+  const b = await createStore({ driver: 'sqlite', path, defaults });
+  try {
+    a.data.paused_arms.push('from-a');
+    await a.write();
+
+    b.data.paused_arms.push('from-b');
+    await assert.rejects(b.write(), { code: 'STORE_CONFLICT', keys: ['paused_arms'] });
+    assert.deepEqual(b.data.paused_arms, ['from-a']);
+    assert.match(b.writes.last_error, /paused_arms changed in another process/);
+
+    b.data.paused_arms.push('from-b');
+    await b.write();
+    assert.deepEqual(a.refresh(), ['paused_arms']);
+    assert.deepEqual(a.data.paused_arms, ['from-a', 'from-b']);
+  } finally {
+    a.close();
+    b.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
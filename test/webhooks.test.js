@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test('malformed CleverTap callbacks are counted as invalid and the server keeps answering', async () => {
+  const response = await server.post('/webhook/clevertap', [
+    null,
+    'delivered',
+    [1, 2],
+    { event: 'delivered', identity: 'u1', ts: 'yesterday' },
+    { event: 'delivered', identity: 'u1', ts: 1e20 },
+    { event: 'delivered', deep_link: 42 },
+    { event: { nested: true }, identity: 'u1' },
+    { event: 'delivered', identity: 'nobody' }
+  ]);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { updated: 0, unmatched: 1, invalid: 7 });
+
+  assert.equal((await server.post('/webhook/clevertap', { events: null })).status, 200);
+  assert.ok(server.alive, server.stderr);
+  assert.equal((await fetch(`${server.url}/health`)).status, 200);
+});
+
+test('Amplitude events with out-of-range times are rejected with a reason', async () => {
+  const events = [-1e17, 1e20, 1700000000, '+275761-01-01T00:00:00Z'].map((time, i) => ({
+    event_type: 'payment_failed',
+    user_id: `range${i}`,
+    time
+  }));
+  const response = await server.post('/webhook/amplitude', events);
+  assert.equal(response.status, 200);
+  const report = await response.json();
+  assert.equal(report.rejected, 4);
+  assert.equal(report.accepted, 0);
+  for (const rejection of report.rejections) {
+    assert.match(rejection.errors.join(' '), /^time must be/);
+  }
+
+  assert.ok(server.alive, server.stderr);
+  assert.equal((await fetch(`${server.url}/health`)).status, 200);
+});